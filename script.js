@@ -5,11 +5,168 @@ const STORAGE_KEYS = {
   theme: 'unity-theme',
   memories: 'unity-memories',
   history: 'unity-history',
-  preferences: 'unity-preferences'
+  preferences: 'unity-preferences',
+  activeSession: 'unity-active-session',
+  modelCatalog: 'unity-model-catalog',
+  pendingMemories: 'unity-pending-memories',
+  deletedMemories: 'unity-deleted-memories',
+  personas: 'unity-personas',
+  syncSignal: 'unity-sync-signal'
 };
 
+const WORKSPACE_DB_NAME = 'unity-chat';
+const WORKSPACE_DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const DICTATION_MODES = ['push', 'handsfree'];
+const TRANSCRIPT_TARGETS = ['input', 'send'];
+const TRANSCRIPTION_MODEL = 'openai-audio';
+const TRANSCRIPTION_PROMPT = 'Transcribe this audio exactly. Reply with the transcript only.';
+const TRANSCRIPTION_SAMPLE_RATE = 16000;
+const MAX_TRANSCRIPTION_BYTES = 20 * 1024 * 1024;
+const DEFAULT_DICTATION_SILENCE = 1.5;
+const MAX_DICTATION_SILENCE = 10;
+
+const VOICE_COMMAND_MATCH_THRESHOLD = 0.6;
+
+const MAX_REQUEST_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 15_000;
+const RETRY_AFTER_CAP_MS = 60_000;
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+const ROOT_BRANCH_KEY = '__root__';
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const RESPONSE_TOKEN_RESERVE = 1024;
+const MESSAGE_TOKEN_OVERHEAD = 4;
+const IMAGE_TOKEN_ESTIMATE = 765;
+const CONTEXT_METER_DELAY = 250;
+const HISTORY_DIGEST_TOKENS = 600;
+const HISTORY_DIGEST_LINE_LENGTH = 200;
+const SUMMARY_MIN_TURNS = 4;
+const SUMMARY_KEEP_RECENT = 4;
+const SUMMARY_TURN_LENGTH = 1200;
+const SUMMARY_IDLE_DELAY = 4000;
+const SUMMARY_PROMPT =
+  'You maintain a running summary of a chat between a user and an assistant. Merge the existing summary with the ' +
+  'new turns into one updated summary of at most 250 words. Keep names, decisions, facts, open questions, and the ' +
+  "user's goals and preferences; drop pleasantries. Reply with the summary text only.";
+
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 3 },
+  topP: { min: 0, max: 1 },
+  presencePenalty: { min: -2, max: 2 },
+  frequencyPenalty: { min: -2, max: 2 }
+};
+const GENERATION_PAYLOAD_KEYS = {
+  temperature: 'temperature',
+  topP: 'top_p',
+  presencePenalty: 'presence_penalty',
+  frequencyPenalty: 'frequency_penalty'
+};
+
+const DEFAULT_PERSONA_ID = 'default';
+const DEFAULT_PERSONA_NAME = 'Default';
+const PERSONA_NAME_LENGTH = 60;
+
+const SYNC_CHANNEL_NAME = 'unity-chat-sync';
+const DELETED_MEMORY_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const BACKUP_FORMAT_ID = 'unity-chat-backup';
+const BACKUP_VERSION = 2;
+const BACKUP_KDF_ITERATIONS = 250000;
+// Bounds for the iteration count a bundle may ask for, so a tampered file cannot make the key trivial or stall the tab.
+const BACKUP_KDF_ITERATION_RANGE = { min: 100000, max: 5000000 };
+// BACKUP_MIGRATIONS[n] upgrades the workspace data of a bundle from version n + 1 to n + 2; append one whenever the
+// layout changes. They run after decryption, so encrypted backups are migrated too.
+const BACKUP_MIGRATIONS = [
+  // Version 2 added personas; everything saved before then belongs to the default one.
+  (data) => {
+    const assignDefaultPersona = (entries) =>
+      Array.isArray(entries) ? entries.map((entry) => withDefaultPersona(entry)) : entries;
+    return {
+      ...data,
+      personas: Array.isArray(data.personas) ? data.personas : [],
+      memories: assignDefaultPersona(data.memories),
+      pendingMemories: assignDefaultPersona(data.pendingMemories),
+      sessions: assignDefaultPersona(data.sessions)
+    };
+  }
+];
+
+const EXPORT_FORMAT_ID = 'unity-chat-conversation';
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_ROLES = ['user', 'assistant', 'tool'];
+const EXPORT_THEME_VARIABLES = [
+  '--theme-background',
+  '--theme-panel',
+  '--theme-border',
+  '--theme-text-primary',
+  '--theme-text-secondary',
+  '--theme-accent',
+  '--theme-chat-user-bg',
+  '--theme-chat-user-text',
+  '--theme-chat-assistant-bg',
+  '--theme-chat-assistant-text'
+];
+
+const MAX_TOOL_ROUNDS = 5;
+
+const MEMORY_PROMPT_LIMIT = 10;
+const MEMORY_TOKEN_BUDGET = 400;
+const DEFAULT_MEMORY_MAX_LENGTH = 280;
+const DEFAULT_MEMORY_DENY_PATTERNS = [
+  '[\\w.+-]+@[\\w-]+\\.[\\w.-]+',
+  '\\b(?:sk|pk|rk)[-_][A-Za-z0-9_-]{16,}',
+  '\\bAKIA[0-9A-Z]{16}\\b',
+  '\\bgh[pousr]_[A-Za-z0-9]{30,}',
+  '\\bxox[abpr]-[A-Za-z0-9-]{10,}',
+  '-----BEGIN [A-Z ]*PRIVATE KEY-----',
+  '(?:password|passwd|secret|token|api[ _-]?key)\\s*[:=]\\s*\\S+',
+  '\\b[A-Za-z0-9_-]{32,}\\b'
+];
+const MEMORY_CONTEXT_TURNS = 4;
+const MEMORY_CONTEXT_WEIGHT = 0.5;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RETRIEVAL_STOPWORDS = new Set(
+  (
+    'a an and are as at be but by can do does for from had has have how i if in is it its me my no not of on or ' +
+    'our so that the their them then there these they this to was we were what when where which who why will ' +
+    'with you your about just like would could should please tell know'
+  ).split(' ')
+);
+
+const MAX_ATTACHMENTS = 4;
+const MAX_ATTACHMENT_DIMENSION = 1024;
+const ATTACHMENT_QUALITY = 0.85;
+
+const DEFAULT_SESSION_TITLE = 'New conversation';
+const SESSION_TITLE_LENGTH = 48;
+
 const API_ENDPOINT = 'https://text.pollinations.ai/openai';
 const MODELS_ENDPOINT = 'https://text.pollinations.ai/models';
+const BUNDLED_MODELS_PATH = 'data/models.json';
+const CATALOG_SOURCE_LABELS = {
+  live: 'Live',
+  bundled: 'Bundled',
+  cached: 'Cached'
+};
+const TTS_ENDPOINT = 'https://text.pollinations.ai';
+const IMAGE_ENDPOINT = 'https://image.pollinations.ai/prompt';
+const IMAGE_MODELS = ['flux', 'kontext', 'turbo'];
+const IMAGE_SIZE_LIMITS = { min: 64, max: 2048 };
+const DEFAULT_IMAGE_OPTIONS = { width: 1024, height: 1024, model: 'flux', seed: '', enhance: false, nologo: false };
+const IMAGE_COMMAND = '/image';
+const DEFAULT_IMAGE_HOSTS = ['image.pollinations.ai'];
+const IMAGE_HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i;
+const LIGHTBOX_ZOOM_STEP = 0.25;
+const LIGHTBOX_ZOOM_LIMITS = { min: 0.5, max: 4 };
+const TTS_MODEL = 'openai-audio';
+const DEFAULT_TTS_VOICE = 'alloy';
+const TTS_SEGMENT_LENGTH = 350;
+const SPEECH_MODES = ['off', 'click', 'auto'];
 const API_REFERRER = 'www.unityailab.com';
 
 const API_SEED_LENGTH = 8;
@@ -150,20 +307,68 @@ const LEGACY_THEME_MAP = {
 
 const state = {
   aiInstruct: '',
+  summary: null,
   history: [],
+  pendingAttachments: [],
+  messages: [],
+  branchSelections: {},
+  sessions: [],
+  activeSessionId: '',
   memories: [],
   selectedModel: '',
   selectedVoice: '',
   selectedTheme: DEFAULT_THEME_ID,
   memoryEnabled: true,
+  memoryApproval: false,
+  memoryRules: { maxLength: DEFAULT_MEMORY_MAX_LENGTH, denyPatterns: [...DEFAULT_MEMORY_DENY_PATTERNS] },
+  pendingMemories: [],
+  deletedMemories: {},
+  personas: [],
+  activePersonaId: DEFAULT_PERSONA_ID,
+  generationSettings: {},
+  imageOptions: { ...DEFAULT_IMAGE_OPTIONS },
+  contentPolicy: { imageHosts: [...DEFAULT_IMAGE_HOSTS], confirmLinks: true },
+  streamingEnabled: true,
+  toolsEnabled: true,
+  speechMode: 'click',
+  dictationMode: 'push',
+  transcriptTarget: 'input',
+  dictationSilence: DEFAULT_DICTATION_SILENCE,
+  voiceCommandsEnabled: true,
+  requestPolicy: {
+    maxRetries: 2,
+    failoverEnabled: false,
+    failoverModels: []
+  },
   isSending: false,
   availableModels: [],
   availableVoices: [],
+  catalogSource: null,
   availableThemes: THEME_CATALOG.map((theme) => ({ ...theme }))
 };
 
 const elements = {};
 
+let activeRequestController = null;
+let speechRecognitionFactory = null;
+
+const dictation = {
+  recognition: null,
+  active: false,
+  handsFree: false,
+  stopRequested: false,
+  released: false,
+  baseText: '',
+  finalText: '',
+  silenceTimer: null
+};
+
+const speechPlayback = {
+  queue: [],
+  current: null,
+  audio: null
+};
+
 const formatters = {
   markdown(input) {
     if (!input) {
@@ -211,6 +416,49 @@ function buildGatewayUrl(model, options = {}) {
   return query ? `${API_ENDPOINT}?${query}` : API_ENDPOINT;
 }
 
+function buildSpeechUrl(text, voice) {
+  const params = new URLSearchParams();
+  params.append('model', TTS_MODEL);
+
+  const trimmedVoice = typeof voice === 'string' ? voice.trim() : '';
+  params.append('voice', trimmedVoice || DEFAULT_TTS_VOICE);
+
+  if (API_TOKEN) {
+    params.append('token', API_TOKEN);
+  }
+
+  if (API_REFERRER) {
+    params.append('referrer', API_REFERRER);
+  }
+
+  return `${TTS_ENDPOINT}/${encodeURIComponent(text)}?${params.toString()}`;
+}
+
+// Image URLs are saved in the conversation, so the API token is deliberately left out.
+function buildImageUrl(prompt, options = {}) {
+  const params = new URLSearchParams();
+  params.append('width', String(options.width || DEFAULT_IMAGE_OPTIONS.width));
+  params.append('height', String(options.height || DEFAULT_IMAGE_OPTIONS.height));
+  params.append('seed', String(options.seed || generateSeed()));
+  params.append('model', options.model || DEFAULT_IMAGE_OPTIONS.model);
+  if (options.image) {
+    params.append('image', options.image);
+  }
+  if (options.enhance) {
+    params.append('enhance', 'true');
+  }
+  if (options.nologo) {
+    params.append('nologo', 'true');
+  }
+  params.append('private', 'true');
+
+  if (API_REFERRER) {
+    params.append('referrer', API_REFERRER);
+  }
+
+  return `${IMAGE_ENDPOINT}/${encodeURIComponent(prompt)}?${params.toString()}`;
+}
+
 function buildModelsUrl() {
   const params = new URLSearchParams();
 
@@ -251,21 +499,106 @@ function getThemeList() {
 function bindElements() {
   elements.modelSelect = document.getElementById('modelSelect');
   elements.voiceSelect = document.getElementById('voiceSelect');
+  elements.speechMode = document.getElementById('speechMode');
   elements.themeSelect = document.getElementById('themeSelect');
   elements.memoryToggle = document.getElementById('memoryToggle');
+  elements.streamToggle = document.getElementById('streamToggle');
+  elements.toolsToggle = document.getElementById('toolsToggle');
   elements.memoryList = document.getElementById('memoryList');
   elements.clearMemories = document.getElementById('clearMemories');
+  elements.memorySearch = document.getElementById('memorySearch');
+  elements.memoryApprovalToggle = document.getElementById('memoryApprovalToggle');
+  elements.memoryQueue = document.getElementById('memoryQueue');
+  elements.pendingMemoryList = document.getElementById('pendingMemoryList');
+  elements.pendingMemoryCount = document.getElementById('pendingMemoryCount');
+  elements.memoryMaxLength = document.getElementById('memoryMaxLength');
+  elements.memoryDenyPatterns = document.getElementById('memoryDenyPatterns');
   elements.chatLog = document.getElementById('chatLog');
   elements.composer = document.getElementById('composer');
   elements.messageInput = document.getElementById('messageInput');
   elements.sendButton = document.getElementById('sendButton');
+  elements.stopButton = document.getElementById('stopButton');
+  elements.micButton = document.getElementById('micButton');
+  elements.attachButton = document.getElementById('attachButton');
+  elements.attachmentInput = document.getElementById('attachmentInput');
+  elements.attachmentTray = document.getElementById('attachmentTray');
+  elements.dictationMode = document.getElementById('dictationMode');
+  elements.transcriptTarget = document.getElementById('transcriptTarget');
+  elements.transcribeButton = document.getElementById('transcribeButton');
+  elements.audioInput = document.getElementById('audioInput');
+  elements.dictationSilence = document.getElementById('dictationSilence');
+  elements.voiceCommandsToggle = document.getElementById('voiceCommandsToggle');
   elements.resetChat = document.getElementById('resetChat');
+  elements.sessionList = document.getElementById('sessionList');
+  elements.newSession = document.getElementById('newSession');
+  elements.exportFormat = document.getElementById('exportFormat');
+  elements.exportConversation = document.getElementById('exportConversation');
+  elements.importConversation = document.getElementById('importConversation');
+  elements.importFile = document.getElementById('importFile');
+  elements.backupPassphrase = document.getElementById('backupPassphrase');
+  elements.restoreMode = document.getElementById('restoreMode');
+  elements.createBackup = document.getElementById('createBackup');
+  elements.restoreBackup = document.getElementById('restoreBackup');
+  elements.backupFile = document.getElementById('backupFile');
+  elements.imageGallery = document.getElementById('imageGallery');
+  elements.galleryCount = document.getElementById('galleryCount');
+  elements.lightbox = document.getElementById('imageLightbox');
+  elements.lightboxStage = document.getElementById('lightboxStage');
+  elements.lightboxImage = document.getElementById('lightboxImage');
+  elements.lightboxCaption = document.getElementById('lightboxCaption');
+  elements.lightboxCounter = document.getElementById('lightboxCounter');
+  elements.lightboxZoom = document.getElementById('lightboxZoom');
+  elements.imageForm = document.getElementById('imageForm');
+  elements.imagePrompt = document.getElementById('imagePrompt');
+  elements.imageWidth = document.getElementById('imageWidth');
+  elements.imageHeight = document.getElementById('imageHeight');
+  elements.imageModel = document.getElementById('imageModel');
+  elements.imageSeed = document.getElementById('imageSeed');
+  elements.imageEnhance = document.getElementById('imageEnhance');
+  elements.imageNologo = document.getElementById('imageNologo');
+  elements.generationSettings = document.getElementById('generationSettings');
+  elements.generationModelLabel = document.getElementById('generationModelLabel');
+  elements.temperatureInput = document.getElementById('temperatureInput');
+  elements.topPInput = document.getElementById('topPInput');
+  elements.presencePenaltyInput = document.getElementById('presencePenaltyInput');
+  elements.frequencyPenaltyInput = document.getElementById('frequencyPenaltyInput');
+  elements.seedLockToggle = document.getElementById('seedLockToggle');
+  elements.seedInput = document.getElementById('seedInput');
+  elements.jsonModeToggle = document.getElementById('jsonModeToggle');
+  elements.resetGeneration = document.getElementById('resetGeneration');
+  elements.personaSelect = document.getElementById('personaSelect');
+  elements.newPersona = document.getElementById('newPersona');
+  elements.editPersona = document.getElementById('editPersona');
+  elements.deletePersona = document.getElementById('deletePersona');
+  elements.personaEditor = document.getElementById('personaEditor');
+  elements.personaName = document.getElementById('personaName');
+  elements.personaInstructions = document.getElementById('personaInstructions');
+  elements.personaModel = document.getElementById('personaModel');
+  elements.personaVoice = document.getElementById('personaVoice');
+  elements.personaTheme = document.getElementById('personaTheme');
+  elements.cancelPersona = document.getElementById('cancelPersona');
   elements.charCounter = document.getElementById('charCounter');
+  elements.contextMeter = document.getElementById('contextMeter');
+  elements.contextLabel = document.getElementById('contextLabel');
+  elements.summaryText = document.getElementById('summaryText');
+  elements.summaryStatus = document.getElementById('summaryStatus');
+  elements.saveSummary = document.getElementById('saveSummary');
+  elements.summarizeNow = document.getElementById('summarizeNow');
+  elements.clearSummary = document.getElementById('clearSummary');
   elements.connectionStatus = document.getElementById('connectionStatus');
   elements.toast = document.getElementById('toast');
   elements.modelBadge = document.getElementById('modelBadge');
   elements.voiceBadge = document.getElementById('voiceBadge');
   elements.themeBadge = document.getElementById('themeBadge');
+  elements.catalogBadge = document.getElementById('catalogBadge');
+  elements.memoryUsageBadge = document.getElementById('memoryUsageBadge');
+  elements.memoryUsageList = document.getElementById('memoryUsageList');
+  elements.retryLimit = document.getElementById('retryLimit');
+  elements.failoverToggle = document.getElementById('failoverToggle');
+  elements.failoverList = document.getElementById('failoverList');
+  elements.contentPolicyForm = document.getElementById('contentPolicy');
+  elements.imageHostList = document.getElementById('imageHostList');
+  elements.confirmLinksToggle = document.getElementById('confirmLinksToggle');
 }
 
 function configureLibraries() {
@@ -313,14 +646,28 @@ function loadStoredState() {
     if (storedMemories) {
       const parsed = JSON.parse(storedMemories);
       if (Array.isArray(parsed)) {
-        state.memories = parsed;
+        // Older builds stored plain strings; normalizeMemory upgrades them in place.
+        state.memories = dedupeMemories(parsed.map((entry) => normalizeMemory(entry)).filter(Boolean));
       }
     }
 
+    const storedPending = localStorage.getItem(STORAGE_KEYS.pendingMemories);
+    if (storedPending) {
+      const parsed = JSON.parse(storedPending);
+      if (Array.isArray(parsed)) {
+        state.pendingMemories = parsed.map((entry) => normalizeMemory(entry)).filter(Boolean);
+      }
+    }
+
+    state.deletedMemories = readDeletedMemories();
+    state.personas = readStoredPersonas();
+
     if (localStorage.getItem(STORAGE_KEYS.history)) {
       localStorage.removeItem(STORAGE_KEYS.history);
     }
     state.history = [];
+    state.messages = [];
+    state.activeSessionId = localStorage.getItem(STORAGE_KEYS.activeSession) || '';
 
     const preferences = localStorage.getItem(STORAGE_KEYS.preferences);
     if (preferences) {
@@ -328,7 +675,7 @@ function loadStoredState() {
       if (parsed && typeof parsed === 'object') {
         state.selectedModel = parsed.model || state.selectedModel;
         state.selectedVoice = parsed.voice || state.selectedVoice;
-        state.memoryEnabled = parsed.memoryEnabled ?? state.memoryEnabled;
+        applyStoredPreferences(parsed);
       }
     }
   } catch (error) {
@@ -336,25 +683,374 @@ function loadStoredState() {
   }
 }
 
+// Everything in the stored preferences except the model and voice, which depend on the loaded catalog.
+function applyStoredPreferences(preferences) {
+  state.memoryEnabled = preferences.memoryEnabled ?? state.memoryEnabled;
+  state.memoryApproval = preferences.memoryApproval ?? state.memoryApproval;
+  state.memoryRules = normalizeMemoryRules(preferences.memoryRules);
+  state.streamingEnabled = preferences.streamingEnabled ?? state.streamingEnabled;
+  state.toolsEnabled = preferences.toolsEnabled ?? state.toolsEnabled;
+  state.speechMode = SPEECH_MODES.includes(preferences.speechMode) ? preferences.speechMode : state.speechMode;
+  state.dictationMode = DICTATION_MODES.includes(preferences.dictationMode)
+    ? preferences.dictationMode
+    : state.dictationMode;
+  state.transcriptTarget = TRANSCRIPT_TARGETS.includes(preferences.transcriptTarget)
+    ? preferences.transcriptTarget
+    : state.transcriptTarget;
+  state.dictationSilence = normalizeDictationSilence(preferences.dictationSilence ?? state.dictationSilence);
+  state.voiceCommandsEnabled = preferences.voiceCommandsEnabled ?? state.voiceCommandsEnabled;
+  state.requestPolicy = normalizeRequestPolicy(preferences.requestPolicy);
+  state.generationSettings = normalizeGenerationPreferences(preferences.generation);
+  state.imageOptions = normalizeImageOptions(preferences.image);
+  state.contentPolicy = normalizeContentPolicy(preferences.contentPolicy);
+}
+
 function persistState() {
   try {
     localStorage.setItem(STORAGE_KEYS.theme, state.selectedTheme);
+    // Fold in what other tabs saved since we last looked, so their memories survive this write.
+    if (mergeStoredMemories()) {
+      renderMemories();
+      renderPendingMemories();
+    }
     localStorage.setItem(STORAGE_KEYS.memories, JSON.stringify(state.memories));
-    localStorage.removeItem(STORAGE_KEYS.history);
-    localStorage.setItem(
-      STORAGE_KEYS.preferences,
-      JSON.stringify({
+    localStorage.setItem(STORAGE_KEYS.pendingMemories, JSON.stringify(state.pendingMemories));
+    localStorage.setItem(STORAGE_KEYS.deletedMemories, JSON.stringify(state.deletedMemories));
+    localStorage.setItem(STORAGE_KEYS.personas, JSON.stringify(state.personas));
+    if (state.activeSessionId) {
+      localStorage.setItem(STORAGE_KEYS.activeSession, state.activeSessionId);
+    }
+    localStorage.setItem(STORAGE_KEYS.preferences, JSON.stringify(buildStoredPreferences()));
+  } catch (error) {
+    console.warn('Unable to persist state', error);
+  }
+  postSyncMessage({ type: 'state' });
+  saveActiveSession();
+}
+
+function buildStoredPreferences() {
+  return {
+    model: state.selectedModel,
+    voice: state.selectedVoice,
+    memoryEnabled: state.memoryEnabled,
+    memoryApproval: state.memoryApproval,
+    memoryRules: state.memoryRules,
+    streamingEnabled: state.streamingEnabled,
+    toolsEnabled: state.toolsEnabled,
+    speechMode: state.speechMode,
+    dictationMode: state.dictationMode,
+    transcriptTarget: state.transcriptTarget,
+    dictationSilence: state.dictationSilence,
+    voiceCommandsEnabled: state.voiceCommandsEnabled,
+    requestPolicy: state.requestPolicy,
+    generation: state.generationSettings,
+    image: state.imageOptions,
+    contentPolicy: state.contentPolicy
+  };
+}
+
+let workspaceDatabasePromise = null;
+
+function openWorkspaceDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+
+  if (!workspaceDatabasePromise) {
+    workspaceDatabasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(WORKSPACE_DB_NAME, WORKSPACE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(SESSION_STORE)) {
+          database.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      workspaceDatabasePromise = null;
+      throw error;
+    });
+  }
+
+  return workspaceDatabasePromise;
+}
+
+async function runStoreTransaction(storeName, mode, operation) {
+  const database = await openWorkspaceDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function createId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function createSessionRecord(overrides = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: createId(),
+    title: DEFAULT_SESSION_TITLE,
+    autoTitle: true,
+    messages: [],
+    branchSelections: {},
+    model: state.selectedModel,
+    voice: state.selectedVoice,
+    personaId: state.activePersonaId,
+    createdAt: now,
+    updatedAt: now,
+    ...overrides
+  };
+}
+
+function normalizeSessionRecord(record) {
+  if (!record || typeof record !== 'object' || typeof record.id !== 'string' || !record.id) {
+    return null;
+  }
+  const createdAt = record.createdAt || new Date().toISOString();
+  return {
+    id: record.id,
+    title: typeof record.title === 'string' && record.title.trim() ? record.title.trim() : DEFAULT_SESSION_TITLE,
+    autoTitle: record.autoTitle !== false,
+    messages: normalizeMessageTree(record.messages),
+    branchSelections:
+      record.branchSelections && typeof record.branchSelections === 'object' ? { ...record.branchSelections } : {},
+    model: typeof record.model === 'string' ? record.model : '',
+    voice: typeof record.voice === 'string' ? record.voice : '',
+    personaId: typeof record.personaId === 'string' && record.personaId ? record.personaId : DEFAULT_PERSONA_ID,
+    summary: normalizeSummary(record.summary),
+    createdAt,
+    updatedAt: record.updatedAt || createdAt
+  };
+}
+
+function deriveSessionTitle(messages) {
+  const firstPrompt = messages.find((message) => message.role === 'user' && message.content);
+  if (!firstPrompt) {
+    return DEFAULT_SESSION_TITLE;
+  }
+  const condensed = String(firstPrompt.content).replace(/\s+/g, ' ').trim();
+  return condensed.length > SESSION_TITLE_LENGTH ? `${condensed.slice(0, SESSION_TITLE_LENGTH - 1)}…` : condensed;
+}
+
+function getActiveSession() {
+  return state.sessions.find((session) => session.id === state.activeSessionId) || null;
+}
+
+function getSortedSessions() {
+  return [...state.sessions].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+function syncActiveSession() {
+  const session = getActiveSession();
+  if (!session) return null;
+
+  session.messages = state.messages.map((message) => ({ ...message }));
+  session.branchSelections = { ...state.branchSelections };
+  session.model = state.selectedModel;
+  session.voice = state.selectedVoice;
+  session.personaId = state.activePersonaId;
+  session.summary = state.summary ? { ...state.summary } : null;
+  session.updatedAt = session.messages.reduce(
+    (latest, message) => (String(message.timestamp || '') > latest ? message.timestamp : latest),
+    session.createdAt
+  );
+  if (session.autoTitle) {
+    session.title = deriveSessionTitle(state.history);
+  }
+  return session;
+}
+
+function writeSession(session) {
+  return runStoreTransaction(SESSION_STORE, 'readwrite', (store) => store.put(session))
+    .then(() => postSyncMessage({ type: 'session', id: session.id }))
+    .catch((error) => {
+      console.warn('Unable to save conversation', error);
+    });
+}
+
+function saveActiveSession() {
+  const session = syncActiveSession();
+  if (!session) return;
+  writeSession({
+    ...session,
+    messages: session.messages.map((message) => ({ ...message })),
+    branchSelections: { ...session.branchSelections }
+  });
+  renderSessions();
+}
+
+async function loadSessions() {
+  let records = [];
+  try {
+    records = (await runStoreTransaction(SESSION_STORE, 'readonly', (store) => store.getAll())) || [];
+  } catch (error) {
+    console.warn('Unable to load saved conversations', error);
+    showToast('Saved conversations are unavailable in this browser.', 'error');
+  }
+
+  state.sessions = records.map(normalizeSessionRecord).filter(Boolean);
+
+  let active = getActiveSession() || getSortedSessions()[0];
+  if (!active) {
+    active = createSessionRecord();
+    state.sessions.push(active);
+  }
+
+  state.activeSessionId = active.id;
+  loadSessionMessages(active);
+  state.selectedModel = active.model || state.selectedModel;
+  state.selectedVoice = active.voice || state.selectedVoice;
+}
+
+let syncChannel = null;
+let syncEnabled = false;
+
+function setupStateSync() {
+  if (typeof BroadcastChannel === 'function') {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.addEventListener('message', (event) => handleSyncMessage(event.data));
+  } else {
+    window.addEventListener('storage', handleSyncStorageEvent);
+  }
+  syncEnabled = true;
+}
+
+function postSyncMessage(message) {
+  if (!syncEnabled) return;
+  if (syncChannel) {
+    syncChannel.postMessage(message);
+    return;
+  }
+  try {
+    // The storage event only fires when the value changes, so every signal carries a fresh id.
+    localStorage.setItem(STORAGE_KEYS.syncSignal, JSON.stringify({ ...message, nonce: createId() }));
+  } catch (error) {
+    console.warn('Unable to notify other tabs', error);
+  }
+}
+
+function handleSyncStorageEvent(event) {
+  if (event.key !== STORAGE_KEYS.syncSignal || !event.newValue) return;
+  try {
+    handleSyncMessage(JSON.parse(event.newValue));
+  } catch (error) {
+    console.warn('Ignoring malformed sync message', error);
+  }
+}
+
+function handleSyncMessage(message) {
+  if (!message || typeof message !== 'object') return;
+  if (message.type === 'state') {
+    applySharedState();
+  } else if (message.type === 'session' && typeof message.id === 'string') {
+    applyRemoteSession(message.id);
+  } else if (message.type === 'session-deleted' && typeof message.id === 'string') {
+    removeRemoteSession(message.id);
+  } else if (message.type === 'workspace-restored') {
+    window.location.reload();
+  }
+}
+
+// Applies another tab's writes without persisting, so the update is not echoed back.
+function applySharedState() {
+  try {
+    state.personas = readStoredPersonas();
+    renderPersonas();
+    if (mergeStoredMemories()) {
+      renderMemories();
+      renderPendingMemories();
+    }
+
+    const storedTheme = resolveThemeId(localStorage.getItem(STORAGE_KEYS.theme));
+    if (storedTheme && storedTheme !== state.selectedTheme) {
+      applyTheme(storedTheme, { persist: false });
+    }
+
+    const preferences = JSON.parse(localStorage.getItem(STORAGE_KEYS.preferences) || 'null');
+    if (preferences && typeof preferences === 'object') {
+      const previous = {
         model: state.selectedModel,
-        voice: state.selectedVoice,
-        memoryEnabled: state.memoryEnabled
-      })
+        speechMode: state.speechMode,
+        dictationMode: state.dictationMode,
+        contentPolicy: JSON.stringify(state.contentPolicy)
+      };
+      applyStoredPreferences(preferences);
+      restoreSessionSelections({ model: preferences.model, voice: preferences.voice });
+
+      if (state.dictationMode !== previous.dictationMode && dictation.active) {
+        stopDictation();
+      }
+      if (state.speechMode === 'off' && previous.speechMode !== 'off') {
+        stopSpeechPlayback();
+      }
+      renderPreferenceControls();
+      renderGenerationSettings();
+      renderImageOptions();
+      renderContentPolicy();
+      if (state.speechMode !== previous.speechMode) {
+        renderChat();
+      } else if (JSON.stringify(state.contentPolicy) !== previous.contentPolicy) {
+        rerenderChatInPlace();
+      }
+      if (state.selectedModel !== previous.model) {
+        updateComposerAvailability();
+      }
+      updateSessionSnapshot();
+    }
+  } catch (error) {
+    console.warn('Unable to apply changes from another tab', error);
+  }
+}
+
+async function applyRemoteSession(sessionId) {
+  let record = null;
+  try {
+    record = normalizeSessionRecord(
+      await runStoreTransaction(SESSION_STORE, 'readonly', (store) => store.get(sessionId))
     );
   } catch (error) {
-    console.warn('Unable to persist state', error);
+    console.warn('Unable to read conversation from another tab', error);
+  }
+  if (!record) return;
+
+  const index = state.sessions.findIndex((session) => session.id === record.id);
+  const local = state.sessions[index];
+  if (!local) {
+    state.sessions.push(record);
+  } else if (record.id !== state.activeSessionId) {
+    state.sessions[index] = record;
+  } else if (!state.isSending && String(record.updatedAt) > String(local.updatedAt)) {
+    state.sessions[index] = record;
+    loadSessionMessages(record);
+    renderPersonaScope();
+    renderChat();
+  } else {
+    local.title = record.title;
+    local.autoTitle = record.autoTitle;
+  }
+  renderSessions();
+}
+
+function removeRemoteSession(sessionId) {
+  if (!state.sessions.some((session) => session.id === sessionId)) return;
+  state.sessions = state.sessions.filter((session) => session.id !== sessionId);
+  if (sessionId === state.activeSessionId) {
+    activateFallbackSession();
+  } else {
+    renderSessions();
   }
 }
 
-function applyTheme(themeId) {
+function applyTheme(themeId, { persist = true } = {}) {
   const themes = state.availableThemes.length ? state.availableThemes : getThemeList();
   const fallbackTheme = findThemeById(DEFAULT_THEME_ID, themes) || themes[0] || THEME_CATALOG[0];
   const targetTheme = findThemeById(themeId, themes) || fallbackTheme;
@@ -370,7 +1066,9 @@ function applyTheme(themeId) {
     elements.themeSelect.value = resolvedId;
   }
 
-  persistState();
+  if (persist) {
+    persistState();
+  }
   updateSessionSnapshot();
 }
 
@@ -454,6 +1152,15 @@ function updateComposerAvailability() {
   const hasSelectedModel = state.availableModels.some((model) => model.id === state.selectedModel);
   const canSend = hasSelectedModel && !state.isSending;
   elements.sendButton.disabled = !canSend;
+  if (elements.attachButton) {
+    const canAttach = modelAcceptsImages();
+    elements.attachButton.disabled = !canAttach;
+    elements.attachButton.title = canAttach ? 'Attach images' : 'The selected model does not accept images';
+  }
+  if (elements.stopButton) {
+    elements.stopButton.hidden = !state.isSending;
+    elements.stopButton.disabled = !activeRequestController;
+  }
 }
 
 function createModelEntry(id, details = {}) {
@@ -475,6 +1182,12 @@ function createModelEntry(id, details = {}) {
         .filter(Boolean)
     : [];
   const supportsText = !outputModalities.length || outputModalities.includes('text');
+  const contextWindow = Number(details.context_window ?? details.contextWindow ?? details.context_length);
+  const inputModalities = Array.isArray(details.input_modalities)
+    ? details.input_modalities
+        .map((modality) => (typeof modality === 'string' ? modality.toLowerCase() : ''))
+        .filter(Boolean)
+    : [];
 
   return {
     id: normalizedId,
@@ -482,7 +1195,10 @@ function createModelEntry(id, details = {}) {
     description: friendlyName,
     tier,
     voices,
-    supportsText
+    supportsText,
+    inputModalities,
+    supportsTools: typeof details.tools === 'boolean' ? details.tools : null,
+    contextWindow: Number.isInteger(contextWindow) && contextWindow > 0 ? contextWindow : null
   };
 }
 
@@ -573,6 +1289,10 @@ function normalizeModelPayload(payload) {
   } else if (payload && typeof payload === 'object') {
     appendVoices(payload.voices);
 
+    if (payload.models && typeof payload.models === 'object' && !Array.isArray(payload.models)) {
+      processKeyedObject(payload.models);
+    }
+
     const collections = [
       payload.models,
       payload.data,
@@ -582,7 +1302,7 @@ function normalizeModelPayload(payload) {
       payload.available_models
     ];
 
-    let processed = false;
+    let processed = modelMap.size > 0;
     collections.forEach((collection) => {
       if (Array.isArray(collection) && collection.length) {
         processCollection(collection);
@@ -603,24 +1323,105 @@ function normalizeModelPayload(payload) {
   return { models, voices: voiceList };
 }
 
+function assertCatalogHasModels(catalog) {
+  if (!catalog.models.length) {
+    throw new Error('Catalog did not contain any models');
+  }
+  return catalog;
+}
+
+function parseCatalogTimestamp(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
 async function loadModelCatalog(url) {
   const response = await fetch(url, { cache: 'no-store' });
   if (!response.ok) {
     throw new Error(`Status ${response.status}`);
   }
   const data = await response.json();
-  return normalizeModelPayload(data);
+  const catalog = assertCatalogHasModels(normalizeModelPayload(data));
+  const generatedAt = new Date().toISOString();
+  cacheModelCatalog(data, generatedAt);
+  return { ...catalog, source: 'live', generatedAt };
 }
 
-async function fetchModels() {
-  const apiUrl = buildModelsUrl();
+async function loadBundledCatalog() {
+  const response = await fetch(BUNDLED_MODELS_PATH, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Status ${response.status}`);
+  }
+  const data = await response.json();
+  const catalog = assertCatalogHasModels(normalizeModelPayload(data));
+  return { ...catalog, source: 'bundled', generatedAt: parseCatalogTimestamp(data?.generatedAt) };
+}
 
+function loadCachedCatalog() {
+  const stored = localStorage.getItem(STORAGE_KEYS.modelCatalog);
+  if (!stored) {
+    throw new Error('No cached catalog');
+  }
+  const parsed = JSON.parse(stored);
+  const catalog = assertCatalogHasModels(normalizeModelPayload(parsed?.payload));
+  return { ...catalog, source: 'cached', generatedAt: parseCatalogTimestamp(parsed?.generatedAt) };
+}
+
+function cacheModelCatalog(payload, generatedAt) {
   try {
-    return await loadModelCatalog(apiUrl);
-  } catch (apiError) {
-    console.error('Unable to load Pollinations model catalog from API', apiError);
-    throw apiError;
+    localStorage.setItem(STORAGE_KEYS.modelCatalog, JSON.stringify({ generatedAt, payload }));
+  } catch (error) {
+    console.warn('Unable to cache model catalog', error);
+  }
+}
+
+async function fetchModels() {
+  const loaders = [
+    ['Pollinations API', () => loadModelCatalog(buildModelsUrl())],
+    ['bundled catalog', loadBundledCatalog],
+    ['cached catalog', loadCachedCatalog]
+  ];
+
+  let lastError = null;
+  for (const [label, load] of loaders) {
+    try {
+      return await load();
+    } catch (error) {
+      console.error(`Unable to load Pollinations model catalog from ${label}`, error);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+function formatCatalogAge(timestamp) {
+  const date = new Date(timestamp);
+  if (!timestamp || Number.isNaN(date.getTime())) return 'age unknown';
+
+  const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+  const units = [
+    ['year', 31_536_000],
+    ['month', 2_592_000],
+    ['day', 86_400],
+    ['hour', 3_600],
+    ['minute', 60]
+  ];
+  const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || ['minute', 60];
+  const formatter = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+  return formatter.format(Math.round(seconds / size), unit);
+}
+
+function describeCatalogSource(catalogSource) {
+  if (!catalogSource) return { label: '—', title: 'Model catalog not loaded' };
+  const sourceLabel = CATALOG_SOURCE_LABELS[catalogSource.source] || catalogSource.source;
+  if (catalogSource.source === 'live') {
+    return { label: sourceLabel, title: 'Loaded from the Pollinations API' };
   }
+  const age = formatCatalogAge(catalogSource.generatedAt);
+  const generated = catalogSource.generatedAt
+    ? new Date(catalogSource.generatedAt).toLocaleString()
+    : 'an unknown date';
+  return { label: `${sourceLabel} • ${age}`, title: `${sourceLabel} catalog generated ${generated}` };
 }
 
 function updateSessionSnapshot() {
@@ -637,6 +1438,12 @@ function updateSessionSnapshot() {
     elements.voiceBadge.textContent = voiceLabel;
     elements.voiceBadge.title = state.selectedVoice ? state.selectedVoice : 'No voice selected';
   }
+  if (elements.catalogBadge) {
+    const { label, title } = describeCatalogSource(state.catalogSource);
+    elements.catalogBadge.textContent = label;
+    elements.catalogBadge.title = title;
+    elements.catalogBadge.dataset.source = state.catalogSource?.source || '';
+  }
   if (elements.themeBadge) {
     const theme = findThemeById(state.selectedTheme);
     const themeLabel = theme?.label || state.selectedTheme;
@@ -646,384 +1453,5321 @@ function updateSessionSnapshot() {
   updateComposerAvailability();
 }
 
-function renderMemories() {
-  elements.memoryList.innerHTML = '';
-  if (!state.memories.length) {
-    const placeholder = document.createElement('li');
-    placeholder.textContent = 'No saved memories yet.';
-    placeholder.classList.add('empty');
-    elements.memoryList.appendChild(placeholder);
-    return;
+function normalizeMemoryTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [
+    ...new Set(
+      list
+        .map((tag) => String(tag || '').trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean)
+    )
+  ];
+}
+
+function normalizeMemory(entry) {
+  if (typeof entry === 'string') {
+    const text = entry.trim();
+    return text ? createMemory(text) : null;
+  }
+  if (!entry || typeof entry !== 'object' || typeof entry.text !== 'string' || !entry.text.trim()) {
+    return null;
   }
+  return {
+    id: typeof entry.id === 'string' && entry.id ? entry.id : createId(),
+    text: entry.text.trim(),
+    createdAt: entry.createdAt || new Date().toISOString(),
+    sourceMessageId: entry.sourceMessageId || null,
+    tags: normalizeMemoryTags(entry.tags),
+    pinned: entry.pinned === true,
+    updatedAt: entry.updatedAt || entry.createdAt || null,
+    personaId: typeof entry.personaId === 'string' && entry.personaId ? entry.personaId : DEFAULT_PERSONA_ID
+  };
+}
 
-  state.memories.slice(-10).forEach((memory) => {
-    const item = document.createElement('li');
-    item.textContent = memory;
-    elements.memoryList.appendChild(item);
-  });
+function createMemory(text, { sourceMessageId = null, tags = [], personaId = state.activePersonaId } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: createId(),
+    text: text.trim(),
+    createdAt: now,
+    sourceMessageId,
+    tags: normalizeMemoryTags(tags),
+    pinned: false,
+    updatedAt: now,
+    personaId
+  };
 }
 
-function setConnectionStatus(text, variant = 'idle') {
-  if (!elements.connectionStatus) return;
-  elements.connectionStatus.textContent = text;
-  elements.connectionStatus.dataset.status = variant;
+function getPersonaMemories(memories = state.memories) {
+  return memories.filter((memory) => memory.personaId === state.activePersonaId);
 }
 
-function trimHistory() {
-  const limit = 60;
-  if (state.history.length > limit) {
-    state.history = state.history.slice(-limit);
-  }
+function dedupeMemories(memories) {
+  const seen = new Set();
+  return memories.filter((memory) => {
+    const key = `${memory.personaId}:${memory.text.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
-function trimMemories() {
-  const limit = 50;
-  if (state.memories.length > limit) {
-    state.memories = state.memories.slice(-limit);
+function readDeletedMemories() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEYS.deletedMemories) || '{}');
+    const cutoff = Date.now() - DELETED_MEMORY_TTL;
+    return Object.fromEntries(
+      Object.entries(parsed && typeof parsed === 'object' ? parsed : {}).filter(
+        ([, deletedAt]) => Number(deletedAt) > cutoff
+      )
+    );
+  } catch (error) {
+    return {};
   }
 }
 
-function showToast(message, variant = 'info', duration = 3200) {
-  if (!elements.toast) return;
-  elements.toast.textContent = message;
-  elements.toast.classList.remove('success', 'error');
-  if (variant === 'success') {
-    elements.toast.classList.add('success');
-  } else if (variant === 'error') {
-    elements.toast.classList.add('error');
+function readStoredMemoryList(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(parsed) ? parsed.map((entry) => normalizeMemory(entry)).filter(Boolean) : [];
+  } catch (error) {
+    return [];
   }
-  elements.toast.hidden = false;
-  window.setTimeout(() => {
-    elements.toast.hidden = true;
-  }, duration);
 }
 
-function createAvatar(role) {
-  const avatar = document.createElement('div');
-  avatar.className = 'chat-avatar';
-  avatar.textContent = role === 'assistant' ? '🤖' : '🧑🏻';
-  return avatar;
+function markMemoriesDeleted(ids) {
+  const now = Date.now();
+  ids.forEach((id) => {
+    state.deletedMemories[id] = now;
+  });
 }
 
-function formatTimestamp(timestamp) {
-  if (!timestamp) return '';
-  const date = new Date(timestamp);
-  if (Number.isNaN(date.getTime())) return '';
-  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+// Union by id: the newer edit wins and anything either side deleted stays deleted.
+function mergeMemoryLists(local, incoming, deleted) {
+  const merged = new Map();
+  [...local, ...incoming].forEach((memory) => {
+    if (deleted[memory.id]) return;
+    const existing = merged.get(memory.id);
+    if (!existing || String(memory.updatedAt || '') > String(existing.updatedAt || '')) {
+      merged.set(memory.id, memory);
+    }
+  });
+  return dedupeMemories(
+    [...merged.values()].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+  );
 }
 
-function parseStructuredContent(content) {
-  const workingContent = { text: content || '', codeBlocks: [], images: [], memories: [] };
+function mergeStoredMemories() {
+  const deleted = { ...readDeletedMemories(), ...state.deletedMemories };
+  const memories = mergeMemoryLists(state.memories, readStoredMemoryList(STORAGE_KEYS.memories), deleted);
+  const pendingMemories = mergeMemoryLists(
+    state.pendingMemories,
+    readStoredMemoryList(STORAGE_KEYS.pendingMemories),
+    deleted
+  );
+  const fingerprint = (list) => list.map((memory) => `${memory.id}:${memory.updatedAt}`).join('|');
+  const changed =
+    fingerprint(memories) !== fingerprint(state.memories) ||
+    fingerprint(pendingMemories) !== fingerprint(state.pendingMemories);
+
+  state.deletedMemories = deleted;
+  state.memories = memories;
+  state.pendingMemories = pendingMemories;
+  return changed;
+}
+
+function addMemory(text, options) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed || getPersonaMemories().some((memory) => memory.text.toLowerCase() === trimmed.toLowerCase())) {
+    return null;
+  }
+  const memory = createMemory(trimmed, options);
+  state.memories.push(memory);
+  return memory;
+}
+
+function findMemory(memoryId) {
+  return state.memories.find((memory) => memory.id === memoryId) || null;
+}
+
+function memoryMatchesQuery(memory, query) {
+  const terms = String(query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  return terms.every((term) =>
+    term.startsWith('#')
+      ? memory.tags.some((tag) => tag.startsWith(term.slice(1)))
+      : memory.text.toLowerCase().includes(term) || memory.tags.includes(term)
+  );
+}
+
+// About four characters per token for Latin text; other scripts tend to cost roughly one token per character.
+function estimateTokens(text) {
+  const value = String(text || '');
+  const ascii = value.replace(/[^\x00-\x7f]/g, '').length;
+  return Math.ceil(ascii / 4 + (value.length - ascii));
+}
+
+function estimateMessageTokens(message) {
+  let tokens = MESSAGE_TOKEN_OVERHEAD + estimateTokens(message.content);
+  if (message.attachments?.length && modelAcceptsImages()) {
+    tokens += message.attachments.length * IMAGE_TOKEN_ESTIMATE;
+  }
+  (message.toolCalls || []).forEach((call) => {
+    tokens += estimateTokens(call.name) + estimateTokens(call.arguments);
+  });
+  return tokens;
+}
+
+function getContextWindow(modelId = state.selectedModel) {
+  return state.availableModels.find((model) => model.id === modelId)?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+}
+
+// Keeps the newest turns that fit; the latest message always goes in even if it alone is over budget.
+function packHistory(messages, budget) {
+  const included = [];
+  let used = 0;
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const cost = estimateMessageTokens(messages[index]);
+    if (included.length && used + cost > budget) break;
+    included.unshift(messages[index]);
+    used += cost;
+  }
+  // Tool results are only valid right after the assistant turn that requested them.
+  while (included[0]?.role === 'tool') {
+    included.shift();
+  }
+  return { included, omitted: messages.slice(0, messages.length - included.length) };
+}
+
+function buildHistoryDigest(messages, budget) {
+  const lines = [];
+  let used = 0;
+  const turns = messages.filter((message) => ['user', 'assistant'].includes(message.role) && message.content);
+  for (let index = turns.length - 1; index >= 0; index -= 1) {
+    const { role, content } = turns[index];
+    const text = parseStructuredContent(content).text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    const clipped = text.length > HISTORY_DIGEST_LINE_LENGTH ? `${text.slice(0, HISTORY_DIGEST_LINE_LENGTH - 1)}…` : text;
+    const line = `- ${role === 'user' ? 'User' : 'Assistant'}: ${clipped}`;
+    const cost = estimateTokens(line);
+    if (used + cost > budget) break;
+    lines.unshift(line);
+    used += cost;
+  }
+  const skipped = turns.length - lines.length;
+  if (skipped > 0) {
+    lines.unshift(`- (${skipped} earlier ${skipped === 1 ? 'turn' : 'turns'} not shown)`);
+  }
+  return lines.join('\n');
+}
+
+// Fits the system prompt and as much recent history as the model's context allows; older turns are condensed.
+function planContext({ memories = selectPromptMemories(), reserved = 0, draft = null } = {}) {
+  const contextWindow = getContextWindow();
+  const available = contextWindow - Math.min(RESPONSE_TOKEN_RESERVE, Math.floor(contextWindow / 4)) - reserved;
+  const candidates = state.history.filter(
+    ({ content, toolCalls, attachments }) => Boolean(content) || toolCalls?.length || attachments?.length
+  );
+  if (draft) {
+    candidates.push(draft);
+  }
+
+  const summary = getActiveSummary();
+  const conversationSummary = summary?.text || '';
+  const basePrompt = buildSystemPrompt(memories, { conversationSummary });
+  let systemPrompt = basePrompt;
+  let packed = packHistory(candidates, available - estimateTokens(basePrompt));
+  // Turns the summary already covers need no digest line of their own.
+  const isUncovered = (message) => state.history.indexOf(message) > (summary ? summary.index : -1);
+  let unsummarized = packed.omitted.filter(isUncovered);
+  if (unsummarized.length) {
+    const digestBudget = Math.min(HISTORY_DIGEST_TOKENS, Math.floor(available / 8));
+    packed = packHistory(candidates, available - estimateTokens(basePrompt) - digestBudget);
+    unsummarized = packed.omitted.filter(isUncovered);
+    systemPrompt = buildSystemPrompt(memories, {
+      conversationSummary,
+      historyDigest: buildHistoryDigest(unsummarized, digestBudget)
+    });
+  }
+
+  return {
+    systemPrompt,
+    messages: packed.included,
+    unsummarized,
+    omittedCount: packed.omitted.filter((message) => message.role !== 'tool').length,
+    usedTokens:
+      estimateTokens(systemPrompt) +
+      reserved +
+      packed.included.reduce((total, message) => total + estimateMessageTokens(message), 0),
+    contextWindow
+  };
+}
+
+function normalizeSummary(summary) {
+  if (!summary || typeof summary !== 'object' || typeof summary.text !== 'string' || !summary.text.trim()) {
+    return null;
+  }
+  return {
+    text: summary.text.trim(),
+    coveredUntil: typeof summary.coveredUntil === 'string' ? summary.coveredUntil : null,
+    coveredCount: Number.isInteger(summary.coveredCount) ? summary.coveredCount : 0,
+    updatedAt: summary.updatedAt || new Date().toISOString(),
+    edited: summary.edited === true
+  };
+}
+
+// A summary only applies to the branch it was written for. If its last message no longer exists,
+// the text is kept but claims none of the history, so no turn is skipped as already summarized.
+function getActiveSummary() {
+  if (!state.summary) return null;
+  if (!state.summary.coveredUntil) return { ...state.summary, index: -1 };
+  const index = state.history.findIndex((message) => message.id === state.summary.coveredUntil);
+  if (index >= 0) return { ...state.summary, index };
+  const pooled = state.messages.some((message) => message.id === state.summary.coveredUntil);
+  return pooled ? null : { ...state.summary, index: -1 };
+}
+
+function formatSummaryTurns(messages) {
+  return messages
+    .filter((message) => ['user', 'assistant'].includes(message.role) && message.content)
+    .map((message) => {
+      const text = parseStructuredContent(message.content).text.trim();
+      const clipped = text.length > SUMMARY_TURN_LENGTH ? `${text.slice(0, SUMMARY_TURN_LENGTH - 1)}…` : text;
+      return `${message.role === 'user' ? 'User' : 'Assistant'}: ${clipped}`;
+    })
+    .join('\n\n');
+}
+
+let summaryInFlight = false;
+let summaryController = null;
+let summaryTimer = null;
+
+// Leading turns that fit, together with the running summary, in the selected model's context window.
+function takeSummaryBatch(messages, previousText) {
+  const contextWindow = getContextWindow();
+  const budget =
+    contextWindow -
+    Math.min(RESPONSE_TOKEN_RESERVE, Math.floor(contextWindow / 4)) -
+    estimateTokens(SUMMARY_PROMPT) -
+    estimateTokens(previousText) -
+    MESSAGE_TOKEN_OVERHEAD * 2;
+  let used = 0;
+  let count = 0;
+  while (count < messages.length) {
+    const cost = estimateTokens(formatSummaryTurns([messages[count]])) + MESSAGE_TOKEN_OVERHEAD;
+    if (count && used + cost > budget) break;
+    used += cost;
+    count += 1;
+  }
+  return messages.slice(0, count);
+}
+
+function storeSummary(sessionId, summary) {
+  if (sessionId === state.activeSessionId) {
+    state.summary = summary;
+    persistState();
+    updateContextMeter();
+    return;
+  }
+  const session = state.sessions.find((item) => item.id === sessionId);
+  if (session) {
+    session.summary = summary;
+    writeSession({ ...session });
+  }
+}
+
+// Long backlogs are folded in batch by batch, and each batch is saved as it lands, so a cancelled run keeps its progress.
+async function updateConversationSummary(messages, { background = false } = {}) {
+  if (summaryInFlight || !formatSummaryTurns(messages) || !state.selectedModel) return false;
+
+  const sessionId = state.activeSessionId;
+  const controller = new AbortController();
+  let previous = getActiveSummary();
+  let remaining = messages;
+  summaryController = controller;
+  summaryInFlight = true;
+  renderSummary('Summarizing older turns…');
+  try {
+    while (remaining.length) {
+      const batch = takeSummaryBatch(remaining, previous?.text || '');
+      remaining = remaining.slice(batch.length);
+      const turns = formatSummaryTurns(batch);
+      if (!turns) continue;
+
+      const payload = {
+        model: state.selectedModel,
+        private: true,
+        messages: [
+          { role: 'system', content: SUMMARY_PROMPT },
+          {
+            role: 'user',
+            content: `Existing summary:\n${previous?.text || '(none)'}\n\nNew turns:\n${turns}`
+          }
+        ]
+      };
+      // Background runs make a single attempt so they never queue up behind rate limits the user's request needs.
+      const { response } = await requestCompletion(payload, {
+        models: [state.selectedModel],
+        signal: controller.signal,
+        retries: background ? 0 : undefined
+      });
+      const text = extractAssistantContent(await response.json()).trim();
+      if (!text) throw new Error('The model returned an empty summary.');
+
+      previous = normalizeSummary({
+        text,
+        coveredUntil: batch[batch.length - 1].id,
+        coveredCount: (previous?.coveredCount || 0) + batch.filter((message) => message.role !== 'tool').length,
+        updatedAt: new Date().toISOString()
+      });
+      storeSummary(sessionId, previous);
+    }
+    return true;
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.warn('Unable to update the conversation summary', error);
+    }
+    return false;
+  } finally {
+    summaryInFlight = false;
+    if (summaryController === controller) {
+      summaryController = null;
+    }
+    if (!background && !state.isSending) {
+      setConnectionStatus('Idle', 'idle');
+    }
+    renderSummary();
+  }
+}
+
+function cancelBackgroundSummary() {
+  window.clearTimeout(summaryTimer);
+  summaryTimer = null;
+  summaryController?.abort();
+}
+
+// Waits until the app has been idle for a moment, so the summary never competes with the user's next request.
+function maybeUpdateSummary() {
+  window.clearTimeout(summaryTimer);
+  summaryTimer = window.setTimeout(() => {
+    summaryTimer = null;
+    if (state.isSending) {
+      maybeUpdateSummary();
+      return;
+    }
+    const { unsummarized } = planContext();
+    const turns = unsummarized.filter((message) => ['user', 'assistant'].includes(message.role) && message.content);
+    if (turns.length >= SUMMARY_MIN_TURNS) {
+      updateConversationSummary(unsummarized, { background: true });
+    }
+  }, SUMMARY_IDLE_DELAY);
+}
+
+async function handleSummarizeNow() {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before summarizing.', 'error');
+    return;
+  }
+  const summary = getActiveSummary();
+  const pending = state.history.slice(summary ? summary.index + 1 : 0, -SUMMARY_KEEP_RECENT);
+  while (pending.length && pending[pending.length - 1].toolCalls?.length) {
+    pending.pop();
+  }
+  if (!formatSummaryTurns(pending)) {
+    showToast('There are no older turns to summarize yet.', 'info');
+    return;
+  }
+  const updated = await updateConversationSummary(pending);
+  showToast(updated ? 'Summary updated.' : 'The summary could not be updated.', updated ? 'success' : 'error');
+}
+
+function handleSaveSummary() {
+  const text = elements.summaryText?.value.trim() || '';
+  if (!text) {
+    handleClearSummary();
+    return;
+  }
+  const summary = getActiveSummary();
+  state.summary = normalizeSummary({
+    text,
+    coveredUntil: summary ? state.summary.coveredUntil : null,
+    coveredCount: summary?.coveredCount || 0,
+    updatedAt: new Date().toISOString(),
+    edited: true
+  });
+  persistState();
+  renderSummary();
+  updateContextMeter();
+  showToast('Summary saved.', 'success');
+}
+
+function handleClearSummary() {
+  if (!state.summary) {
+    renderSummary();
+    return;
+  }
+  if (!window.confirm('Clear the summary of this conversation?')) return;
+  state.summary = null;
+  persistState();
+  renderSummary();
+  updateContextMeter();
+}
+
+function renderSummary(status) {
+  if (!elements.summaryText) return;
+  const summary = getActiveSummary();
+  if (document.activeElement !== elements.summaryText) {
+    elements.summaryText.value = summary?.text || '';
+  }
+  if (elements.summarizeNow) {
+    elements.summarizeNow.disabled = summaryInFlight;
+  }
+  if (!elements.summaryStatus) return;
+  if (status) {
+    elements.summaryStatus.textContent = status;
+  } else if (state.summary && !summary) {
+    elements.summaryStatus.textContent = 'The saved summary belongs to another branch of this chat.';
+  } else if (summary) {
+    const covered = summary.coveredCount
+      ? `Covers ${summary.coveredCount} earlier ${summary.coveredCount === 1 ? 'message' : 'messages'}`
+      : 'Written by hand';
+    const edited = summary.edited ? ' · edited' : '';
+    elements.summaryStatus.textContent = `${covered}${edited} · updated ${formatTimestamp(summary.updatedAt)}`;
+  } else {
+    elements.summaryStatus.textContent = '';
+  }
+}
+
+function formatTokenCount(tokens) {
+  return tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}k` : String(tokens);
+}
+
+let contextMeterTimer = null;
+
+// Planning the context walks the whole history, so typing only refreshes the meter once the user pauses.
+function scheduleContextMeter() {
+  window.clearTimeout(contextMeterTimer);
+  contextMeterTimer = window.setTimeout(() => {
+    contextMeterTimer = null;
+    updateContextMeter();
+  }, CONTEXT_METER_DELAY);
+}
+
+function updateContextMeter() {
+  if (!elements.contextMeter || !elements.contextLabel) return;
+  const draftText = elements.messageInput?.value.trim() || '';
+  const draft =
+    draftText || state.pendingAttachments.length
+      ? { role: 'user', content: draftText, attachments: state.pendingAttachments }
+      : null;
+  const { usedTokens, contextWindow, omittedCount } = planContext({ draft });
+  const ratio = Math.min(usedTokens / contextWindow, 1);
+
+  elements.contextMeter.value = ratio;
+  elements.contextLabel.textContent = `~${formatTokenCount(usedTokens)} / ${formatTokenCount(contextWindow)} tokens`;
+  elements.contextLabel.title = omittedCount
+    ? `${omittedCount} older ${omittedCount === 1 ? 'message is' : 'messages are'} condensed to fit the context window.`
+    : 'The whole conversation fits in the context window.';
+}
+
+function tokenizeForRetrieval(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1 && !RETRIEVAL_STOPWORDS.has(term))
+    .map((term) => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+// Weighted query terms: the pending user message counts fully, earlier turns at a discount.
+function buildRetrievalQuery(history = state.history) {
+  const weights = new Map();
+  const addTerms = (text, weight) => {
+    tokenizeForRetrieval(text).forEach((term) => weights.set(term, Math.max(weights.get(term) || 0, weight)));
+  };
+
+  const turns = history.filter((message) => message.role === 'user' || message.role === 'assistant');
+  const pendingIndex = turns.map((message) => message.role).lastIndexOf('user');
+  turns.slice(Math.max(0, pendingIndex - MEMORY_CONTEXT_TURNS), pendingIndex).forEach((message) => {
+    addTerms(parseStructuredContent(message.content).text, MEMORY_CONTEXT_WEIGHT);
+  });
+  if (pendingIndex >= 0) {
+    addTerms(turns[pendingIndex].content, 1);
+  }
+  return weights;
+}
+
+function rankMemories(memories, queryWeights) {
+  if (!memories.length || !queryWeights.size) return [];
+
+  const documents = memories.map((memory) => tokenizeForRetrieval(`${memory.text} ${memory.tags.join(' ')}`));
+  const averageLength = documents.reduce((total, terms) => total + terms.length, 0) / documents.length || 1;
+  const documentFrequency = new Map();
+  documents.forEach((terms) => {
+    new Set(terms).forEach((term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return memories
+    .map((memory, index) => {
+      const terms = documents[index];
+      let score = 0;
+      queryWeights.forEach((weight, term) => {
+        const frequency = terms.filter((entry) => entry === term).length;
+        if (!frequency) return;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (memories.length - df + 0.5) / (df + 0.5));
+        const norm = frequency + BM25_K1 * (1 - BM25_B + (BM25_B * terms.length) / averageLength);
+        score += weight * idf * ((frequency * (BM25_K1 + 1)) / norm);
+      });
+      return { memory, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Pinned memories always go in; the best-ranked others fill the top-k slots until the token budget runs out.
+function selectPromptMemories(history = state.history) {
+  if (!state.memoryEnabled) return [];
+
+  const memories = getPersonaMemories();
+  const pinned = memories.filter((memory) => memory.pinned);
+  let budget = MEMORY_TOKEN_BUDGET - pinned.reduce((total, memory) => total + estimateTokens(memory.text), 0);
+  const selected = [...pinned];
+
+  const ranked = rankMemories(
+    memories.filter((memory) => !memory.pinned),
+    buildRetrievalQuery(history)
+  );
+  for (const { memory } of ranked) {
+    if (selected.length - pinned.length >= MEMORY_PROMPT_LIMIT) break;
+    const cost = estimateTokens(memory.text);
+    if (cost > budget) continue;
+    selected.push(memory);
+    budget -= cost;
+  }
+  return selected;
+}
+
+function renderMemoryUsage() {
+  if (!elements.memoryUsageBadge) return;
+  const lastReply = [...state.history].reverse().find((message) => message.role === 'assistant' && message.content);
+  const ids = lastReply?.memoryIds;
+
+  if (!Array.isArray(ids)) {
+    elements.memoryUsageBadge.textContent = '—';
+    elements.memoryUsageList?.replaceChildren();
+    return;
+  }
+
+  const used = ids.map((id) => findMemory(id)).filter(Boolean);
+  elements.memoryUsageBadge.textContent = `${ids.length} of ${getPersonaMemories().length}`;
+  elements.memoryUsageList?.replaceChildren(
+    ...used.map((memory) => {
+      const item = document.createElement('li');
+      item.textContent = memory.text;
+      if (memory.pinned) item.title = 'Pinned';
+      return item;
+    })
+  );
+}
+
+function formatMemoryDate(timestamp) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function createMemoryAction(action, label, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-button';
+  button.dataset.action = action;
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  return button;
+}
+
+function buildMemoryItem(memory) {
+  const item = document.createElement('li');
+  item.dataset.memoryId = memory.id;
+  item.classList.toggle('pinned', memory.pinned);
+
+  const text = document.createElement('p');
+  text.className = 'memory-text';
+  text.textContent = memory.text;
+  item.appendChild(text);
+
+  if (memory.tags.length) {
+    const tags = document.createElement('div');
+    tags.className = 'memory-tags';
+    memory.tags.forEach((tag) => {
+      const chip = document.createElement('span');
+      chip.className = 'memory-tag';
+      chip.textContent = `#${tag}`;
+      tags.appendChild(chip);
+    });
+    item.appendChild(tags);
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'memory-footer';
+  const meta = document.createElement('span');
+  meta.textContent = [formatMemoryDate(memory.createdAt), memory.sourceMessageId ? 'from a reply' : '']
+    .filter(Boolean)
+    .join(' · ');
+
+  const actions = document.createElement('div');
+  actions.className = 'memory-actions';
+  const pin = createMemoryAction('pin', '📌', memory.pinned ? 'Unpin memory' : 'Pin memory');
+  pin.setAttribute('aria-pressed', memory.pinned ? 'true' : 'false');
+  actions.append(pin, createMemoryAction('edit', '✎', 'Edit memory'), createMemoryAction('delete', '✕', 'Delete memory'));
+
+  footer.append(meta, actions);
+  item.appendChild(footer);
+  return item;
+}
+
+function renderMemories() {
+  elements.memoryList.innerHTML = '';
+  const memories = getPersonaMemories();
+  if (!memories.length) {
+    const placeholder = document.createElement('li');
+    placeholder.textContent = 'No saved memories yet.';
+    placeholder.classList.add('empty');
+    elements.memoryList.appendChild(placeholder);
+    return;
+  }
+
+  const query = elements.memorySearch?.value.trim() || '';
+  const visible = memories
+    .filter((memory) => memoryMatchesQuery(memory, query))
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned) || String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  if (!visible.length) {
+    const placeholder = document.createElement('li');
+    placeholder.textContent = 'No memories match your search.';
+    placeholder.classList.add('empty');
+    elements.memoryList.appendChild(placeholder);
+    return;
+  }
+
+  visible.forEach((memory) => elements.memoryList.appendChild(buildMemoryItem(memory)));
+  renderMemoryUsage();
+}
+
+function normalizeMemoryRules(rules) {
+  const maxLength = Number.parseInt(rules?.maxLength, 10);
+  return {
+    maxLength: Number.isFinite(maxLength) && maxLength > 0 ? maxLength : DEFAULT_MEMORY_MAX_LENGTH,
+    denyPatterns: Array.isArray(rules?.denyPatterns)
+      ? rules.denyPatterns.filter((pattern) => typeof pattern === 'string' && pattern.trim())
+      : [...DEFAULT_MEMORY_DENY_PATTERNS]
+  };
+}
+
+function compileDenyPattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns why a proposed memory should be rejected, or null when it passes every rule.
+function checkMemoryRules(text) {
+  if (text.length > state.memoryRules.maxLength) {
+    return `it is longer than ${state.memoryRules.maxLength} characters`;
+  }
+  const denied = state.memoryRules.denyPatterns.find((pattern) => compileDenyPattern(pattern)?.test(text));
+  return denied ? 'it looks like a secret or personal detail' : null;
+}
+
+function proposeMemories(texts, sourceMessageId) {
+  const outcome = { saved: 0, queued: 0, rejected: [], statuses: [] };
+
+  texts.forEach((text, index) => {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return;
+
+    const reason = checkMemoryRules(trimmed);
+    if (reason) {
+      outcome.rejected.push(reason);
+      outcome.statuses[index] = 'rejected';
+      return;
+    }
+
+    if (!state.memoryApproval) {
+      const added = addMemory(trimmed, { sourceMessageId });
+      if (added) outcome.saved += 1;
+      outcome.statuses[index] = added ? 'saved' : 'duplicate';
+      return;
+    }
+
+    const duplicate = getPersonaMemories([...state.memories, ...state.pendingMemories]).some(
+      (memory) => memory.text.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (!duplicate) {
+      state.pendingMemories.push(createMemory(trimmed, { sourceMessageId }));
+      outcome.queued += 1;
+    }
+    outcome.statuses[index] = duplicate ? 'duplicate' : 'queued';
+  });
+
+  if (outcome.saved) {
+    renderMemories();
+  }
+  if (outcome.queued) {
+    renderPendingMemories();
+  }
+  return outcome;
+}
+
+function renderPendingMemories() {
+  if (!elements.pendingMemoryList) return;
+  const pending = getPersonaMemories(state.pendingMemories);
+  elements.memoryQueue.hidden = !pending.length;
+  elements.pendingMemoryCount.textContent = String(pending.length);
+  elements.pendingMemoryList.replaceChildren(
+    ...pending.map((memory) => {
+      const item = document.createElement('li');
+      item.dataset.memoryId = memory.id;
+
+      const text = document.createElement('p');
+      text.className = 'memory-text';
+      text.textContent = memory.text;
+
+      const footer = document.createElement('div');
+      footer.className = 'memory-footer';
+      const meta = document.createElement('span');
+      meta.textContent = formatMemoryDate(memory.createdAt);
+      const actions = document.createElement('div');
+      actions.className = 'memory-actions';
+      actions.append(
+        createMemoryAction('accept', '✓', 'Save memory'),
+        createMemoryAction('edit', '✎', 'Edit before saving'),
+        createMemoryAction('reject', '✕', 'Reject memory')
+      );
+      footer.append(meta, actions);
+
+      item.append(text, footer);
+      return item;
+    })
+  );
+}
+
+function acceptPendingMemory(memoryId, text) {
+  const pending = state.pendingMemories.find((memory) => memory.id === memoryId);
+  if (!pending) return false;
+
+  const trimmed = String(text ?? pending.text).trim();
+  const reason = trimmed ? checkMemoryRules(trimmed) : 'it is empty';
+  if (reason) {
+    showToast(`Not saved because ${reason}.`, 'error');
+    return false;
+  }
+
+  state.pendingMemories = state.pendingMemories.filter((memory) => memory.id !== memoryId);
+  markMemoriesDeleted([memoryId]);
+  addMemory(trimmed, { sourceMessageId: pending.sourceMessageId, personaId: pending.personaId });
+  renderPendingMemories();
+  renderMemories();
+  persistState();
+  return true;
+}
+
+function rejectPendingMemory(memoryId) {
+  state.pendingMemories = state.pendingMemories.filter((memory) => memory.id !== memoryId);
+  markMemoriesDeleted([memoryId]);
+  renderPendingMemories();
+  persistState();
+}
+
+function beginPendingMemoryEdit(item) {
+  const pending = state.pendingMemories.find((memory) => memory.id === item.dataset.memoryId);
+  if (!pending) return;
+
+  const form = document.createElement('form');
+  form.className = 'memory-editor';
+  const textarea = document.createElement('textarea');
+  textarea.value = pending.text;
+  textarea.rows = 3;
+  textarea.setAttribute('aria-label', 'Proposed memory');
+
+  const controls = document.createElement('div');
+  controls.className = 'message-editor-actions';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'ghost-button';
+  cancel.textContent = 'Cancel';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'primary-button';
+  save.textContent = 'Save';
+  controls.append(cancel, save);
+
+  form.append(textarea, controls);
+  item.replaceChildren(form);
+  textarea.focus();
+
+  cancel.addEventListener('click', renderPendingMemories);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    acceptPendingMemory(pending.id, textarea.value);
+  });
+}
+
+function handlePendingMemoryClick(event) {
+  const control = event.target.closest('button[data-action]');
+  const item = event.target.closest('li[data-memory-id]');
+  if (!control || !item) return;
+
+  const { action } = control.dataset;
+  if (action === 'accept') {
+    acceptPendingMemory(item.dataset.memoryId);
+  } else if (action === 'edit') {
+    beginPendingMemoryEdit(item);
+  } else if (action === 'reject') {
+    rejectPendingMemory(item.dataset.memoryId);
+  }
+}
+
+function handleMemoryApprovalToggle(event) {
+  state.memoryApproval = Boolean(event.target.checked);
+  persistState();
+  showToast(
+    state.memoryApproval ? 'New memories will wait for your review.' : 'New memories will be saved automatically.',
+    'info'
+  );
+}
+
+function handleMemoryRulesChange() {
+  const lines = (elements.memoryDenyPatterns?.value || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const invalid = lines.filter((line) => !compileDenyPattern(line));
+
+  state.memoryRules = normalizeMemoryRules({
+    maxLength: elements.memoryMaxLength?.value,
+    denyPatterns: lines.filter((line) => compileDenyPattern(line))
+  });
+  if (elements.memoryMaxLength) {
+    elements.memoryMaxLength.value = String(state.memoryRules.maxLength);
+  }
+  persistState();
+
+  if (invalid.length) {
+    showToast(`Ignored ${invalid.length} invalid pattern${invalid.length === 1 ? '' : 's'}: ${invalid[0]}`, 'error');
+  }
+}
+
+function toggleMemoryPin(memoryId) {
+  const memory = findMemory(memoryId);
+  if (!memory) return;
+  memory.pinned = !memory.pinned;
+  memory.updatedAt = new Date().toISOString();
+  renderMemories();
+  persistState();
+}
+
+function updateMemory(memoryId, { text, tags }) {
+  const memory = findMemory(memoryId);
+  const trimmed = String(text || '').trim();
+  if (!memory || !trimmed) return false;
+  memory.text = trimmed;
+  memory.tags = normalizeMemoryTags(tags);
+  memory.updatedAt = new Date().toISOString();
+  persistState();
+  return true;
+}
+
+function deleteMemory(memoryId) {
+  const memory = findMemory(memoryId);
+  if (!memory) return;
+  state.memories = state.memories.filter((entry) => entry.id !== memoryId);
+  markMemoriesDeleted([memoryId]);
+  renderMemories();
+  persistState();
+  showToast('Memory deleted.', 'info');
+}
+
+function beginMemoryEdit(item) {
+  const memory = findMemory(item.dataset.memoryId);
+  if (!memory) return;
+
+  const form = document.createElement('form');
+  form.className = 'memory-editor';
+  const textarea = document.createElement('textarea');
+  textarea.value = memory.text;
+  textarea.rows = 3;
+  textarea.setAttribute('aria-label', 'Memory text');
+  const tags = document.createElement('input');
+  tags.type = 'text';
+  tags.value = memory.tags.join(', ');
+  tags.placeholder = 'Tags, separated by commas';
+  tags.setAttribute('aria-label', 'Memory tags');
+
+  const controls = document.createElement('div');
+  controls.className = 'message-editor-actions';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'ghost-button';
+  cancel.textContent = 'Cancel';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'primary-button';
+  save.textContent = 'Save';
+  controls.append(cancel, save);
+
+  form.append(textarea, tags, controls);
+  item.replaceChildren(form);
+  textarea.focus();
+
+  cancel.addEventListener('click', renderMemories);
+  form.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      renderMemories();
+    }
+  });
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (!updateMemory(memory.id, { text: textarea.value, tags: tags.value })) {
+      showToast('A memory needs some text.', 'error');
+      return;
+    }
+    renderMemories();
+  });
+}
+
+function handleMemoryListClick(event) {
+  const control = event.target.closest('button[data-action]');
+  const item = event.target.closest('li[data-memory-id]');
+  if (!control || !item) return;
+
+  const { action } = control.dataset;
+  if (action === 'pin') {
+    toggleMemoryPin(item.dataset.memoryId);
+  } else if (action === 'edit') {
+    beginMemoryEdit(item);
+  } else if (action === 'delete') {
+    deleteMemory(item.dataset.memoryId);
+  }
+}
+
+function setConnectionStatus(text, variant = 'idle') {
+  if (!elements.connectionStatus) return;
+  elements.connectionStatus.textContent = text;
+  elements.connectionStatus.dataset.status = variant;
+}
+
+function getBranchKey(parentId) {
+  return parentId || ROOT_BRANCH_KEY;
+}
+
+function getChildMessages(parentId) {
+  return state.messages.filter((message) => (message.parentId || null) === (parentId || null));
+}
+
+function getSiblingMessages(message) {
+  return getChildMessages(message?.parentId);
+}
+
+function normalizeMessageTree(messages) {
+  if (!Array.isArray(messages)) return [];
+  const list = messages
+    .filter((message) => message && message.role)
+    .map((message) => ({ ...message, id: message.id || createId() }));
+
+  // Conversations saved before branching were flat arrays, so chain them in order.
+  if (list.every((message) => message.parentId === undefined)) {
+    list.forEach((message, index) => {
+      message.parentId = index ? list[index - 1].id : null;
+    });
+  }
+  return list;
+}
+
+function rebuildActivePath() {
+  const path = [];
+  let parentId = null;
+
+  for (;;) {
+    const children = getChildMessages(parentId);
+    if (!children.length) break;
+    const selectedId = state.branchSelections[getBranchKey(parentId)];
+    const next = children.find((message) => message.id === selectedId) || children[children.length - 1];
+    path.push(next);
+    parentId = next.id;
+  }
+
+  state.history = path;
+}
+
+function loadSessionMessages(session) {
+  state.messages = (session?.messages || []).map((message) => ({ ...message }));
+  state.branchSelections = { ...(session?.branchSelections || {}) };
+  state.summary = session?.summary ? { ...session.summary } : null;
+  state.activePersonaId = session?.personaId || DEFAULT_PERSONA_ID;
+  rebuildActivePath();
+}
+
+function appendToActivePath(message) {
+  const parentId = state.history[state.history.length - 1]?.id || null;
+  message.parentId = parentId;
+  state.messages.push(message);
+  state.branchSelections[getBranchKey(parentId)] = message.id;
+  state.history.push(message);
+}
+
+function showToast(message, variant = 'info', duration = 3200) {
+  if (!elements.toast) return;
+  elements.toast.textContent = message;
+  elements.toast.classList.remove('success', 'error');
+  if (variant === 'success') {
+    elements.toast.classList.add('success');
+  } else if (variant === 'error') {
+    elements.toast.classList.add('error');
+  }
+  elements.toast.hidden = false;
+  window.setTimeout(() => {
+    elements.toast.hidden = true;
+  }, duration);
+}
+
+function createAvatar(role) {
+  const avatar = document.createElement('div');
+  avatar.className = 'chat-avatar';
+  avatar.textContent = role === 'assistant' ? '🤖' : '🧑🏻';
+  return avatar;
+}
+
+function formatTimestamp(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function parseStructuredContent(content) {
+  const workingContent = { text: content || '', codeBlocks: [], images: [], memories: [] };
   if (!content) {
     return workingContent;
   }
 
-  const memoryPattern = /\[memory\]([\s\S]*?)\[\/memory\]/gi;
-  workingContent.text = workingContent.text.replace(memoryPattern, (_, memoryBody) => {
-    if (memoryBody) {
-      workingContent.memories.push(memoryBody.trim());
+  const memoryPattern = /\[memory\]([\s\S]*?)\[\/memory\]/gi;
+  workingContent.text = workingContent.text.replace(memoryPattern, (_, memoryBody) => {
+    if (memoryBody) {
+      workingContent.memories.push(memoryBody.trim());
+    }
+    return '';
+  });
+
+  const imagePattern = /\[IMAGE\]([\s\S]*?)\[\/IMAGE\]/gi;
+  workingContent.text = workingContent.text.replace(imagePattern, (_, url) => {
+    if (url) {
+      workingContent.images.push(url.trim());
+    }
+    return '';
+  });
+
+  const codePattern = /\[CODE\]([\s\S]*?)\[\/CODE\]/gi;
+  workingContent.text = workingContent.text.replace(codePattern, (_, codeBody) => {
+    if (!codeBody) return '';
+    const tripleMatch = codeBody.match(/```(\w+)?\n([\s\S]*?)```/);
+    if (tripleMatch) {
+      const [, language = '', rawCode = ''] = tripleMatch;
+      workingContent.codeBlocks.push({
+        language: language.trim().toLowerCase(),
+        code: rawCode.trim()
+      });
+    } else {
+      workingContent.codeBlocks.push({ language: '', code: codeBody.trim() });
+    }
+    return '';
+  });
+
+  workingContent.text = workingContent.text.trim();
+  return workingContent;
+}
+
+function getMessageKey(message) {
+  return message?.id || message?.timestamp || '';
+}
+
+function findMessageByKey(key) {
+  if (!key) return null;
+  return state.messages.find((message) => getMessageKey(message) === key) || null;
+}
+
+function createMessageAction(action, label, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'message-action';
+  button.dataset.action = action;
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  return button;
+}
+
+function buildMessageActions(message) {
+  const actions = document.createElement('div');
+  actions.className = 'chat-actions';
+
+  const siblings = getSiblingMessages(message);
+  if (siblings.length > 1) {
+    const position = siblings.indexOf(message);
+    const previous = createMessageAction('branch-prev', '‹', 'Previous version');
+    previous.disabled = position <= 0;
+    const indicator = document.createElement('span');
+    indicator.className = 'branch-indicator';
+    indicator.textContent = `${position + 1}/${siblings.length}`;
+    const next = createMessageAction('branch-next', '›', 'Next version');
+    next.disabled = position >= siblings.length - 1;
+    actions.append(previous, indicator, next);
+  }
+
+  if (message.role === 'user') {
+    actions.appendChild(createMessageAction('edit', '✎', 'Edit and resend'));
+  } else if (message.role === 'assistant') {
+    actions.appendChild(
+      createMessageAction('regenerate', '↻', message.image ? 'Regenerate with a new seed' : 'Regenerate reply')
+    );
+  }
+
+  if (message.role === 'assistant' && state.speechMode !== 'off' && toSpokenText(message.content)) {
+    const speakButton = createMessageAction('speak', '▶', 'Read aloud');
+    speakButton.dataset.speechKey = getMessageKey(message);
+    actions.appendChild(speakButton);
+  }
+
+  return actions.childElementCount ? actions : null;
+}
+
+// Replies saved before outcomes were recorded fall back to the current rules, so secrets stay hidden.
+function describeMemoryBlocks(message, texts) {
+  const labels = {
+    saved: 'Saved memories',
+    duplicate: 'Already saved',
+    queued: 'Awaiting review',
+    off: 'Not saved (memory is off)',
+    proposed: 'Proposed memories'
+  };
+  const groups = {};
+  let rejected = 0;
+  texts.forEach((text, index) => {
+    if (!text) return;
+    const status = message.memoryStatus?.[index] || (checkMemoryRules(text) ? 'rejected' : 'proposed');
+    if (status === 'rejected') {
+      rejected += 1;
+    } else if (labels[status]) {
+      groups[status] = [...(groups[status] || []), text];
+    }
+  });
+  const parts = Object.keys(labels)
+    .filter((status) => groups[status])
+    .map((status) => `${labels[status]}: ${groups[status].join(' | ')}`);
+  if (rejected) {
+    parts.push(`${rejected} rejected by memory rules (not shown)`);
+  }
+  return parts.join(' · ');
+}
+
+function buildChatRow(message) {
+  const row = document.createElement('div');
+  row.className = `chat-message ${message.role}`;
+  row.dataset.messageKey = getMessageKey(message);
+
+  const avatar = createAvatar(message.role);
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-bubble';
+
+  const content = parseStructuredContent(message.content);
+
+  if (content.text) {
+    const textWrapper = document.createElement('div');
+    textWrapper.className = 'chat-text';
+    textWrapper.appendChild(renderPolicedMarkdown(content.text));
+    bubble.appendChild(textWrapper);
+  }
+
+  if (Array.isArray(message.toolCalls) && message.toolCalls.length) {
+    bubble.appendChild(buildToolCallCards(message.toolCalls));
+  }
+
+  if (Array.isArray(message.attachments) && message.attachments.length) {
+    const attachments = document.createElement('div');
+    attachments.className = 'chat-attachments';
+    message.attachments.forEach((attachment) => {
+      const image = document.createElement('img');
+      image.src = attachment.dataUrl;
+      image.alt = attachment.name || 'Attached image';
+      image.title = attachment.name || '';
+      attachments.appendChild(image);
+    });
+    bubble.appendChild(attachments);
+  }
+
+  content.images.forEach((url) => {
+    if (!/^https?:\/\//i.test(url)) return;
+    bubble.appendChild(buildChatImage(stripTrackingParams(url)));
+  });
+
+  if (message.image) {
+    const imageActions = document.createElement('div');
+    imageActions.className = 'image-actions';
+    imageActions.append(
+      createMessageAction('image-variant', 'Variant', 'Make a variation of this image'),
+      createMessageAction('image-download', 'Download', 'Download this image')
+    );
+    bubble.appendChild(imageActions);
+  }
+
+  content.codeBlocks.forEach(({ language, code }) => {
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    if (language) {
+      codeEl.className = `language-${language}`;
+    }
+    codeEl.textContent = code;
+    pre.appendChild(codeEl);
+    bubble.appendChild(pre);
+    if (typeof Prism !== 'undefined' && typeof Prism.highlightElement === 'function') {
+      Prism.highlightElement(codeEl);
+    }
+  });
+
+  if (content.memories.length) {
+    const memoryWrapper = document.createElement('div');
+    memoryWrapper.className = 'chat-meta';
+    memoryWrapper.textContent = describeMemoryBlocks(message, content.memories);
+    bubble.appendChild(memoryWrapper);
+  }
+
+  const meta = document.createElement('div');
+  meta.className = 'chat-meta';
+  const metaParts = [formatTimestamp(message.timestamp)];
+  if (message.role === 'assistant' && message.model) {
+    metaParts.push(message.failover ? `Answered by ${message.model} (failover)` : message.model);
+  }
+  if (message.status === 'stopped') {
+    metaParts.push('Stopped');
+  }
+  if (message.generation) {
+    metaParts.push(describeGenerationParams(message.generation));
+  }
+  if (message.memoryIds?.length) {
+    const count = message.memoryIds.length;
+    metaParts.push(`${count} ${count === 1 ? 'memory' : 'memories'}`);
+    meta.title = message.memoryIds
+      .map((id) => findMemory(id)?.text)
+      .filter(Boolean)
+      .join('\n');
+  }
+  meta.textContent = metaParts.filter(Boolean).join(' • ');
+  bubble.appendChild(meta);
+
+  const actions = buildMessageActions(message);
+  if (actions) {
+    bubble.appendChild(actions);
+  }
+
+  if (message.role === 'assistant') {
+    row.appendChild(avatar);
+    row.appendChild(bubble);
+  } else {
+    row.appendChild(bubble);
+    row.appendChild(avatar);
+  }
+
+  return row;
+}
+
+function clearChatPlaceholder() {
+  const placeholder = elements.chatLog.querySelector('.chat-empty');
+  if (placeholder) {
+    placeholder.remove();
+  }
+}
+
+function appendChatMessage(message) {
+  if (!elements.chatLog) return null;
+  clearChatPlaceholder();
+  const row = buildChatRow(message);
+  elements.chatLog.appendChild(row);
+  elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+  return row;
+}
+
+function replaceChatMessage(row, message) {
+  if (!row || !row.isConnected) {
+    return appendChatMessage(message);
+  }
+  const nextRow = buildChatRow(message);
+  row.replaceWith(nextRow);
+  elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+  return nextRow;
+}
+
+function createStreamingMessage() {
+  if (!elements.chatLog) return null;
+  clearChatPlaceholder();
+
+  const row = document.createElement('div');
+  row.className = 'chat-message assistant streaming';
+
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-bubble';
+
+  const textWrapper = document.createElement('div');
+  textWrapper.className = 'chat-text chat-stream';
+  bubble.appendChild(textWrapper);
+
+  row.appendChild(createAvatar('assistant'));
+  row.appendChild(bubble);
+  elements.chatLog.appendChild(row);
+  elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+  return row;
+}
+
+function updateStreamingMessage(row, text) {
+  const textWrapper = row?.querySelector('.chat-stream');
+  if (!textWrapper) return;
+  // Structured blocks may still be split across chunks, so the raw text is shown until the stream ends.
+  textWrapper.textContent = text;
+  elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+}
+
+function renderChat() {
+  if (!elements.chatLog) return;
+  elements.chatLog.innerHTML = '';
+  updateContextMeter();
+  renderSummary();
+  renderGallery();
+  if (!state.history.length) {
+    return;
+  }
+  state.history.filter((message) => message.role !== 'tool').forEach((message) => appendChatMessage(message));
+  updateSpeechControls();
+  renderMemoryUsage();
+}
+
+function toSpokenText(content) {
+  const { text } = parseStructuredContent(content);
+  return text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/gi, ' ')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_~#]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitSpeechSegments(text) {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [text];
+  const segments = [];
+  let current = '';
+
+  const pushWords = (sentence) => {
+    sentence.split(' ').forEach((word) => {
+      if (current && current.length + word.length + 1 > TTS_SEGMENT_LENGTH) {
+        segments.push(current.trim());
+        current = '';
+      }
+      current += `${word} `;
+    });
+  };
+
+  sentences.forEach((sentence) => {
+    if (current.length + sentence.length <= TTS_SEGMENT_LENGTH) {
+      current += sentence;
+      return;
+    }
+    if (current.trim()) {
+      segments.push(current.trim());
+    }
+    current = '';
+    if (sentence.length > TTS_SEGMENT_LENGTH) {
+      pushWords(sentence);
+    } else {
+      current = sentence;
+    }
+  });
+
+  if (current.trim()) {
+    segments.push(current.trim());
+  }
+  return segments;
+}
+
+function updateSpeechControls() {
+  if (!elements.chatLog) return;
+  const { current, audio, queue } = speechPlayback;
+
+  elements.chatLog.querySelectorAll('[data-speech-key]').forEach((button) => {
+    const key = button.dataset.speechKey;
+    const isCurrent = current?.key === key;
+    const isPlaying = isCurrent && audio && !audio.paused;
+    const isQueued = queue.some((item) => item.key === key);
+
+    button.textContent = isPlaying ? '⏸' : '▶';
+    button.title = isPlaying ? 'Pause' : isCurrent ? 'Resume' : isQueued ? 'Queued — play now' : 'Read aloud';
+    button.setAttribute('aria-label', button.title);
+    button.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
+    button.classList.toggle('active', isCurrent || isQueued);
+  });
+}
+
+function handleSpeechFailure(audio, error) {
+  if (speechPlayback.audio !== audio) return;
+  console.warn('Unable to play synthesized speech', error);
+  const blocked = error?.name === 'NotAllowedError';
+  showToast(blocked ? 'Press play to hear the reply.' : 'Unable to play this reply aloud.', blocked ? 'info' : 'error');
+  if (blocked) {
+    updateSpeechControls();
+    return;
+  }
+  playNextSpeechItem();
+}
+
+function playSpeechSegment() {
+  const item = speechPlayback.current;
+  if (!item) return;
+
+  const segment = item.segments[item.index];
+  if (!segment) {
+    playNextSpeechItem();
+    return;
+  }
+
+  const audio = new Audio(buildSpeechUrl(segment, state.selectedVoice));
+  speechPlayback.audio = audio;
+
+  audio.addEventListener('ended', () => {
+    if (speechPlayback.audio !== audio) return;
+    item.index += 1;
+    playSpeechSegment();
+  });
+  audio.addEventListener('error', () => handleSpeechFailure(audio, audio.error));
+  audio.addEventListener('play', updateSpeechControls);
+  audio.addEventListener('pause', updateSpeechControls);
+
+  audio.play().catch((error) => handleSpeechFailure(audio, error));
+  updateSpeechControls();
+}
+
+function playNextSpeechItem() {
+  speechPlayback.current = speechPlayback.queue.shift() || null;
+  speechPlayback.audio = null;
+  if (speechPlayback.current) {
+    playSpeechSegment();
+  }
+  updateSpeechControls();
+}
+
+function enqueueSpeech(message) {
+  const spoken = toSpokenText(message?.content);
+  if (!spoken) return false;
+
+  speechPlayback.queue.push({ key: getMessageKey(message), segments: splitSpeechSegments(spoken), index: 0 });
+  if (!speechPlayback.current) {
+    playNextSpeechItem();
+  }
+  updateSpeechControls();
+  return true;
+}
+
+function stopSpeechPlayback() {
+  const { audio } = speechPlayback;
+  speechPlayback.queue = [];
+  speechPlayback.current = null;
+  speechPlayback.audio = null;
+  if (audio) {
+    audio.pause();
+    audio.removeAttribute('src');
+  }
+  updateSpeechControls();
+}
+
+function toggleSpeechForMessage(message) {
+  const key = getMessageKey(message);
+  const { current, audio } = speechPlayback;
+
+  if (current?.key === key && audio) {
+    if (audio.paused) {
+      audio.play().catch((error) => handleSpeechFailure(audio, error));
+    } else {
+      audio.pause();
+    }
+    return;
+  }
+
+  stopSpeechPlayback();
+  if (!enqueueSpeech(message)) {
+    showToast('Nothing to read aloud in this reply.', 'info');
+  }
+}
+
+function handleChatLogClick(event) {
+  const link = event.target.closest('a[href]');
+  if (link && elements.chatLog.contains(link)) {
+    confirmExternalLink(event, link);
+    return;
+  }
+
+  const control = event.target.closest('[data-action]');
+  const row = event.target.closest('.chat-message');
+  if (!control || !row) return;
+
+  const message = findMessageByKey(row.dataset.messageKey);
+  if (!message) return;
+
+  const { action } = control.dataset;
+  if (action === 'speak') {
+    toggleSpeechForMessage(message);
+  } else if (action === 'regenerate') {
+    regenerateReply(message);
+  } else if (action === 'edit') {
+    beginMessageEdit(row, message);
+  } else if (action === 'branch-prev') {
+    showSiblingBranch(message, -1);
+  } else if (action === 'branch-next') {
+    showSiblingBranch(message, 1);
+  } else if (action === 'image-variant') {
+    createImageVariant(message);
+  } else if (action === 'image-download') {
+    downloadImage(getMessageImageUrl(message));
+  }
+}
+
+function showSiblingBranch(message, offset) {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before switching versions.', 'error');
+    return;
+  }
+
+  const siblings = getSiblingMessages(message);
+  const target = siblings[siblings.indexOf(message) + offset];
+  if (!target) return;
+
+  state.branchSelections[getBranchKey(message.parentId)] = target.id;
+  rebuildActivePath();
+  stopSpeechPlayback();
+  renderChat();
+  persistState();
+}
+
+function beginMessageEdit(row, message) {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before editing.', 'error');
+    return;
+  }
+
+  const bubble = row.querySelector('.chat-bubble');
+  if (!bubble) return;
+
+  const form = document.createElement('form');
+  form.className = 'message-editor';
+
+  const textarea = document.createElement('textarea');
+  textarea.value = message.content;
+  textarea.rows = Math.min(10, Math.max(2, message.content.split('\n').length));
+  textarea.setAttribute('aria-label', 'Edit message');
+
+  const controls = document.createElement('div');
+  controls.className = 'message-editor-actions';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'ghost-button';
+  cancel.textContent = 'Cancel';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'primary-button';
+  save.textContent = 'Send';
+  controls.append(cancel, save);
+
+  form.append(textarea, controls);
+  bubble.replaceChildren(form);
+  textarea.focus();
+
+  cancel.addEventListener('click', () => replaceChatMessage(row, message));
+  textarea.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      replaceChatMessage(row, message);
+    } else if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      form.requestSubmit();
+    }
+  });
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    editAndResend(message, textarea.value);
+  });
+}
+
+function updateCharCounter() {
+  if (!elements.charCounter || !elements.messageInput) return;
+  const length = elements.messageInput.value.trim().length;
+  elements.charCounter.textContent = `${length} character${length === 1 ? '' : 's'}`;
+  scheduleContextMeter();
+}
+
+function autoResizeTextarea() {
+  if (!elements.messageInput) return;
+  elements.messageInput.style.height = 'auto';
+  elements.messageInput.style.height = `${elements.messageInput.scrollHeight}px`;
+}
+
+function handleThemeChange(event) {
+  const themeId = event.target.value;
+  if (!themeId) return;
+  applyTheme(themeId);
+  const theme = findThemeById(themeId);
+  if (theme) {
+    showToast(`Theme set to ${theme.label}.`, 'info', 2200);
+  }
+}
+
+function handleModelChange(event) {
+  state.selectedModel = event.target.value?.trim?.() || '';
+  updateSessionSnapshot();
+  persistState();
+  renderFailoverList();
+  renderGenerationSettings();
+  updateContextMeter();
+}
+
+function handleVoiceChange(event) {
+  state.selectedVoice = event.target.value?.trim?.() || '';
+  updateSessionSnapshot();
+  persistState();
+}
+
+function handleSpeechModeChange(event) {
+  const mode = event.target.value;
+  if (!SPEECH_MODES.includes(mode)) return;
+  state.speechMode = mode;
+  if (mode === 'off') {
+    stopSpeechPlayback();
+  }
+  persistState();
+  renderChat();
+  const labels = {
+    off: 'Replies will not be read aloud.',
+    click: 'Use the play button on a reply to hear it.',
+    auto: 'New replies will be read aloud.'
+  };
+  showToast(labels[mode], 'info');
+}
+
+function handleStreamToggle(event) {
+  state.streamingEnabled = Boolean(event.target.checked);
+  persistState();
+  showToast(state.streamingEnabled ? 'Replies will stream as they arrive.' : 'Replies will appear when complete.', 'info');
+}
+
+function handleMemoryToggle(event) {
+  state.memoryEnabled = Boolean(event.target.checked);
+  persistState();
+  showToast(state.memoryEnabled ? 'Memories will be recorded.' : 'Memory sync paused.', 'info');
+}
+
+function clearMemories() {
+  const memories = getPersonaMemories();
+  const pinnedCount = memories.filter((memory) => memory.pinned).length;
+  const cleared = new Set(memories.filter((memory) => !memory.pinned).map((memory) => memory.id));
+  markMemoriesDeleted([...cleared]);
+  state.memories = state.memories.filter((memory) => !cleared.has(memory.id));
+  renderMemories();
+  persistState();
+  showToast(pinnedCount ? 'Memories cleared. Pinned memories were kept.' : 'All memories cleared.', 'info');
+}
+
+function restoreSessionSelections(session) {
+  if (session.model && state.availableModels.some((model) => model.id === session.model)) {
+    state.selectedModel = session.model;
+    if (elements.modelSelect && !elements.modelSelect.disabled) {
+      elements.modelSelect.value = session.model;
+    }
+    renderGenerationSettings();
+  }
+  if (session.voice && state.availableVoices.includes(session.voice)) {
+    state.selectedVoice = session.voice;
+    if (elements.voiceSelect && !elements.voiceSelect.disabled) {
+      elements.voiceSelect.value = session.voice;
+    }
+  }
+}
+
+function switchSession(sessionId) {
+  if (sessionId === state.activeSessionId) return;
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before switching chats.', 'error');
+    return;
+  }
+
+  const target = state.sessions.find((session) => session.id === sessionId);
+  if (!target) return;
+
+  saveActiveSession();
+  stopSpeechPlayback();
+  state.activeSessionId = target.id;
+  loadSessionMessages(target);
+  restoreSessionSelections(target);
+  renderPersonaScope();
+  renderChat();
+  persistState();
+  updateSessionSnapshot();
+}
+
+function startNewSession() {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before starting a new chat.', 'error');
+    return false;
+  }
+
+  const current = getActiveSession();
+  if (current && !state.history.length) {
+    return false;
+  }
+
+  saveActiveSession();
+  stopSpeechPlayback();
+  const session = createSessionRecord();
+  state.sessions.push(session);
+  state.activeSessionId = session.id;
+  loadSessionMessages(session);
+  renderChat();
+  persistState();
+  return true;
+}
+
+function renameSession(sessionId, title) {
+  const session = state.sessions.find((item) => item.id === sessionId);
+  const trimmed = String(title || '').trim();
+  if (!session || !trimmed || trimmed === session.title) return;
+
+  session.title = trimmed;
+  session.autoTitle = false;
+  writeSession({ ...session });
+  renderSessions();
+}
+
+async function deleteSession(sessionId) {
+  const session = state.sessions.find((item) => item.id === sessionId);
+  if (!session) return;
+  if (sessionId === state.activeSessionId && state.isSending) {
+    showToast('Stop the current reply before deleting this chat.', 'error');
+    return;
+  }
+  if (!window.confirm(`Delete "${session.title}"? This cannot be undone.`)) return;
+
+  state.sessions = state.sessions.filter((item) => item.id !== sessionId);
+  try {
+    await runStoreTransaction(SESSION_STORE, 'readwrite', (store) => store.delete(sessionId));
+    postSyncMessage({ type: 'session-deleted', id: sessionId });
+  } catch (error) {
+    console.warn('Unable to delete conversation', error);
+  }
+
+  if (sessionId === state.activeSessionId) {
+    activateFallbackSession();
+  } else {
+    renderSessions();
+  }
+
+  showToast('Conversation deleted.', 'info');
+}
+
+function activateFallbackSession() {
+  const next = getSortedSessions()[0] || createSessionRecord();
+  if (!state.sessions.includes(next)) {
+    state.sessions.push(next);
+  }
+  state.activeSessionId = next.id;
+  loadSessionMessages(next);
+  restoreSessionSelections(next);
+  renderPersonaScope();
+  renderChat();
+  persistState();
+  updateSessionSnapshot();
+}
+
+function formatSessionDate(timestamp) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '';
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+function renderSessions() {
+  if (!elements.sessionList) return;
+  elements.sessionList.innerHTML = '';
+
+  getSortedSessions().forEach((session) => {
+    const item = document.createElement('li');
+    item.className = 'session-item';
+    item.dataset.sessionId = session.id;
+    if (session.id === state.activeSessionId) {
+      item.classList.add('active');
+    }
+
+    const openButton = document.createElement('button');
+    openButton.type = 'button';
+    openButton.className = 'session-open';
+    openButton.dataset.action = 'open';
+    openButton.setAttribute('aria-current', session.id === state.activeSessionId ? 'true' : 'false');
+
+    const title = document.createElement('span');
+    title.className = 'session-title';
+    title.textContent = session.title;
+
+    const count = session.messages.length;
+    const meta = document.createElement('span');
+    meta.className = 'session-date';
+    meta.textContent = [formatSessionDate(session.updatedAt), `${count} message${count === 1 ? '' : 's'}`]
+      .filter(Boolean)
+      .join(' • ');
+
+    openButton.append(title, meta);
+
+    const renameButton = document.createElement('button');
+    renameButton.type = 'button';
+    renameButton.className = 'icon-button';
+    renameButton.dataset.action = 'rename';
+    renameButton.title = 'Rename conversation';
+    renameButton.textContent = '✎';
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'icon-button';
+    deleteButton.dataset.action = 'delete';
+    deleteButton.title = 'Delete conversation';
+    deleteButton.textContent = '✕';
+
+    item.append(openButton, renameButton, deleteButton);
+    elements.sessionList.appendChild(item);
+  });
+}
+
+function beginSessionRename(item) {
+  const session = state.sessions.find((entry) => entry.id === item.dataset.sessionId);
+  const openButton = item.querySelector('.session-open');
+  if (!session || !openButton) return;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'session-rename';
+  input.value = session.title;
+  input.setAttribute('aria-label', 'Conversation name');
+
+  let settled = false;
+  const finish = (commit) => {
+    if (settled) return;
+    settled = true;
+    if (commit) {
+      renameSession(session.id, input.value);
+    }
+    renderSessions();
+  };
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      finish(true);
+    } else if (event.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  openButton.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+function handleSessionListClick(event) {
+  const control = event.target.closest('[data-action]');
+  const item = event.target.closest('.session-item');
+  if (!control || !item) return;
+
+  const { sessionId } = item.dataset;
+  if (control.dataset.action === 'open') {
+    switchSession(sessionId);
+  } else if (control.dataset.action === 'rename') {
+    beginSessionRename(item);
+  } else if (control.dataset.action === 'delete') {
+    deleteSession(sessionId);
+  }
+}
+
+function handleNewSession() {
+  if (startNewSession()) {
+    showToast('Started a new conversation.', 'info');
+  }
+  elements.messageInput?.focus({ preventScroll: true });
+}
+
+function resetChat() {
+  if (startNewSession()) {
+    showToast('Conversation saved. Started a new one.', 'info');
+  } else if (!state.isSending) {
+    showToast('This conversation is already empty.', 'info');
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function buildConversationExport() {
+  const session = getActiveSession();
+  return {
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    title: session?.title || DEFAULT_SESSION_TITLE,
+    createdAt: session?.createdAt || state.history[0]?.timestamp || null,
+    model: state.selectedModel,
+    voice: state.selectedVoice,
+    theme: state.selectedTheme,
+    messages: state.history.map((message) => ({
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp || null,
+      model: message.model || null,
+      seed: message.seed || null,
+      ...(message.generation ? { generation: { ...message.generation } } : {}),
+      ...(message.image ? { image: { ...message.image } } : {}),
+      ...(message.attachments?.length
+        ? {
+            attachments: message.attachments.map(({ name, width, height, dataUrl }) => ({ name, width, height, dataUrl }))
+          }
+        : {}),
+      status: message.status || null,
+      failover: Boolean(message.failover),
+      memories: parseStructuredContent(message.content).memories,
+      ...(message.toolCalls?.length ? { toolCalls: message.toolCalls.map((call) => ({ ...call })) } : {}),
+      ...(message.role === 'tool' ? { toolCallId: message.toolCallId, name: message.name } : {})
+    }))
+  };
+}
+
+function describeExportedMessage(message) {
+  const author = message.role === 'user' ? 'You' : 'Assistant';
+  const details = [message.timestamp ? new Date(message.timestamp).toLocaleString() : '', message.model, message.status];
+  return { author, details: details.filter(Boolean).join(' · ') };
+}
+
+function describeExportedToolCalls(message, messages) {
+  return (message.toolCalls || []).map((call) => ({
+    ...call,
+    result: messages.find((entry) => entry.role === 'tool' && entry.toolCallId === call.id)?.content || ''
+  }));
+}
+
+function buildMarkdownExport(data) {
+  const lines = [`# ${data.title}`, '', `Exported ${new Date(data.exportedAt).toLocaleString()} · ${data.model || 'unknown model'}`];
+
+  data.messages.forEach((message) => {
+    if (message.role === 'tool') return;
+    const { author, details } = describeExportedMessage(message);
+    const content = parseStructuredContent(message.content);
+    lines.push('', `## ${author}${details ? ` — ${details}` : ''}`, '');
+    describeExportedToolCalls(message, data.messages).forEach((call) => {
+      lines.push(`- Tool \`${call.name}\` with \`${call.arguments}\` → \`${call.result}\``);
+    });
+    if (content.text) {
+      lines.push(policeExportMarkdown(content.text), '');
+    }
+    content.codeBlocks.forEach(({ language, code }) => {
+      lines.push(`\`\`\`${language}`, code, '```', '');
+    });
+    content.images.map(stripTrackingParams).forEach((url) => {
+      lines.push(isAllowedImageUrl(url) ? `![Generated image](${url})` : `[Image from ${getUrlHost(url)}](${url})`, '');
+    });
+    message.memories.forEach((memory) => {
+      lines.push(`> Memory: ${memory}`);
+    });
+  });
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+function buildHtmlExport(data) {
+  const computed = getComputedStyle(document.documentElement);
+  const variables = EXPORT_THEME_VARIABLES.map((name) => `${name}: ${computed.getPropertyValue(name).trim()};`).join(' ');
+
+  const messages = data.messages
+    .filter((message) => message.role !== 'tool')
+    .map((message) => {
+      const { author, details } = describeExportedMessage(message);
+      const content = parseStructuredContent(message.content);
+      const parts = describeExportedToolCalls(message, data.messages).map(
+        (call) =>
+          `<p class="memory">Tool <code>${escapeHtml(call.name)}</code> with <code>${escapeHtml(call.arguments)}</code> → <code>${escapeHtml(call.result)}</code></p>`
+      );
+      parts.push(formatters.markdown(content.text));
+      content.codeBlocks.forEach(({ language, code }) => {
+        parts.push(`<pre><code class="language-${escapeHtml(language)}">${escapeHtml(code)}</code></pre>`);
+      });
+      content.images
+        .filter((url) => /^https?:\/\//i.test(url))
+        .forEach((url) => parts.push(`<p><img src="${escapeHtml(url)}" alt="Generated image" /></p>`));
+      message.memories.forEach((memory) => parts.push(`<p class="memory">Memory: ${escapeHtml(memory)}</p>`));
+      return `<article class="message ${message.role}">
+  <header>${escapeHtml(author)}${details ? ` <span>${escapeHtml(details)}</span>` : ''}</header>
+  ${policeExportHtml(parts.join('\n  '))}
+</article>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(data.title)}</title>
+<style>
+:root { ${variables} }
+body { margin: 0; padding: 32px 16px; font-family: system-ui, sans-serif; line-height: 1.6; background: var(--theme-background); color: var(--theme-text-primary); }
+main { max-width: 820px; margin: 0 auto; display: grid; gap: 16px; }
+h1 { margin: 0; }
+.exported { color: var(--theme-text-secondary); margin: 0 0 8px; }
+.message { padding: 14px 18px; border-radius: 16px; border: 1px solid var(--theme-border); overflow-wrap: anywhere; }
+.message.user { background: var(--theme-chat-user-bg); color: var(--theme-chat-user-text); margin-left: 15%; }
+.message.assistant { background: var(--theme-chat-assistant-bg); color: var(--theme-chat-assistant-text); margin-right: 15%; }
+.message header { font-weight: 600; margin-bottom: 6px; }
+.message header span, .memory { font-weight: 400; font-size: 0.85rem; opacity: 0.75; }
+pre { background: var(--theme-panel); color: var(--theme-text-primary); padding: 12px; border-radius: 10px; overflow: auto; }
+img { max-width: 100%; border-radius: 10px; }
+a { color: inherit; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(data.title)}</h1>
+<p class="exported">Exported ${escapeHtml(new Date(data.exportedAt).toLocaleString())} · ${escapeHtml(data.model || 'unknown model')}</p>
+${messages}
+</main>
+</body>
+</html>
+`;
+}
+
+function buildExportFilename(title, extension) {
+  const slug = String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug || 'conversation'}-${date}.${extension}`;
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function handleExportConversation() {
+  if (!state.history.length) {
+    showToast('There is nothing to export yet.', 'info');
+    return;
+  }
+
+  const data = buildConversationExport();
+  const format = elements.exportFormat?.value || 'markdown';
+  if (format === 'json') {
+    downloadFile(buildExportFilename(data.title, 'json'), JSON.stringify(data, null, 2), 'application/json');
+  } else if (format === 'html') {
+    downloadFile(buildExportFilename(data.title, 'html'), buildHtmlExport(data), 'text/html');
+  } else {
+    downloadFile(buildExportFilename(data.title, 'md'), buildMarkdownExport(data), 'text/markdown');
+  }
+  showToast('Conversation exported.', 'success');
+}
+
+function validateConversationImport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file does not contain a conversation export.');
+  }
+  if (data.format !== EXPORT_FORMAT_ID) {
+    throw new Error('The file is not a Unity Chat conversation export.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_FORMAT_VERSION) {
+    throw new Error(`Unsupported export version: ${data.version}.`);
+  }
+  if (!Array.isArray(data.messages) || !data.messages.length) {
+    throw new Error('The export does not contain any messages.');
+  }
+
+  const messages = data.messages.map((message, index) => {
+    if (!message || typeof message !== 'object') {
+      throw new Error(`Message ${index + 1} is not an object.`);
+    }
+    if (!EXPORT_ROLES.includes(message.role)) {
+      throw new Error(`Message ${index + 1} has an unknown role.`);
+    }
+    if (typeof message.content !== 'string') {
+      throw new Error(`Message ${index + 1} is missing its text.`);
+    }
+    if (message.timestamp != null && Number.isNaN(Date.parse(message.timestamp))) {
+      throw new Error(`Message ${index + 1} has an invalid timestamp.`);
+    }
+
+    const restored = {
+      id: createId(),
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp || new Date().toISOString()
+    };
+    if (typeof message.model === 'string' && message.model) restored.model = message.model;
+    if (typeof message.seed === 'string' && message.seed) restored.seed = message.seed;
+    if (message.generation && typeof message.generation === 'object') restored.generation = { ...message.generation };
+    if (message.image && typeof message.image === 'object' && typeof message.image.prompt === 'string') {
+      restored.image = { ...normalizeImageOptions(message.image), prompt: message.image.prompt };
+      if (typeof message.image.image === 'string' && /^https?:\/\//i.test(message.image.image)) {
+        restored.image.image = message.image.image;
+      }
+    }
+    if (Array.isArray(message.attachments) && message.attachments.length) {
+      if (message.role !== 'user' || message.attachments.length > MAX_ATTACHMENTS) {
+        throw new Error(`Message ${index + 1} has unexpected attachments.`);
+      }
+      restored.attachments = message.attachments.map((attachment) => {
+        const dataUrl = typeof attachment?.dataUrl === 'string' ? attachment.dataUrl : '';
+        if (!/^data:image\/[\w.+-]+;base64,/i.test(dataUrl)) {
+          throw new Error(`Message ${index + 1} has an attachment that is not an embedded image.`);
+        }
+        return {
+          id: createId(),
+          type: 'image',
+          name: typeof attachment.name === 'string' ? attachment.name : 'image',
+          width: Number(attachment.width) || 0,
+          height: Number(attachment.height) || 0,
+          dataUrl
+        };
+      });
+    }
+    if (message.status === 'stopped') restored.status = 'stopped';
+    if (message.failover === true) restored.failover = true;
+    if (message.role === 'tool') {
+      if (typeof message.toolCallId !== 'string' || !message.toolCallId) {
+        throw new Error(`Message ${index + 1} is a tool result without a call id.`);
+      }
+      restored.toolCallId = message.toolCallId;
+      restored.name = typeof message.name === 'string' ? message.name : '';
+    }
+    if (Array.isArray(message.toolCalls) && message.toolCalls.length) {
+      restored.toolCalls = message.toolCalls.map((call) => {
+        if (!call || typeof call.id !== 'string' || typeof call.name !== 'string') {
+          throw new Error(`Message ${index + 1} has a malformed tool call.`);
+        }
+        return { id: call.id, name: call.name, arguments: typeof call.arguments === 'string' ? call.arguments : '{}' };
+      });
+    }
+    return restored;
+  });
+
+  return {
+    title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : DEFAULT_SESSION_TITLE,
+    model: typeof data.model === 'string' ? data.model : '',
+    voice: typeof data.voice === 'string' ? data.voice : '',
+    messages
+  };
+}
+
+function importConversation(data) {
+  const imported = validateConversationImport(data);
+  saveActiveSession();
+  stopSpeechPlayback();
+
+  const session = createSessionRecord({
+    title: imported.title,
+    autoTitle: false,
+    messages: normalizeMessageTree(imported.messages),
+    model: imported.model || state.selectedModel,
+    voice: imported.voice || state.selectedVoice,
+    createdAt: imported.messages[0].timestamp
+  });
+
+  const current = getActiveSession();
+  if (current && !state.history.length) {
+    state.sessions = state.sessions.filter((item) => item.id !== current.id);
+    runStoreTransaction(SESSION_STORE, 'readwrite', (store) => store.delete(current.id))
+      .then(() => postSyncMessage({ type: 'session-deleted', id: current.id }))
+      .catch((error) => console.warn('Unable to delete conversation', error));
+  }
+
+  state.sessions.push(session);
+  state.activeSessionId = session.id;
+  loadSessionMessages(session);
+  restoreSessionSelections(session);
+  renderPersonaScope();
+  renderChat();
+  persistState();
+  updateSessionSnapshot();
+  return session;
+}
+
+async function handleImportFile(event) {
+  const input = event.target;
+  const [file] = input.files || [];
+  input.value = '';
+  if (!file) return;
+
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before importing.', 'error');
+    return;
+  }
+
+  try {
+    const data = JSON.parse(await file.text());
+    const session = importConversation(data);
+    showToast(`Imported "${session.title}".`, 'success');
+  } catch (error) {
+    console.error('Unable to import conversation', error);
+    showToast(error instanceof SyntaxError ? 'That file is not valid JSON.' : error.message, 'error');
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), (character) => character.charCodeAt(0));
+}
+
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey'
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptBackupData(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(data))
+  );
+  return {
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    payload: bytesToBase64(ciphertext)
+  };
+}
+
+function readEncryptionParameters(bundle) {
+  const { kdf, cipher, payload } = bundle;
+  const iterations = kdf?.iterations;
+  if (
+    kdf?.name !== 'PBKDF2' ||
+    kdf.hash !== 'SHA-256' ||
+    !Number.isInteger(iterations) ||
+    iterations < BACKUP_KDF_ITERATION_RANGE.min ||
+    iterations > BACKUP_KDF_ITERATION_RANGE.max ||
+    cipher?.name !== 'AES-GCM' ||
+    typeof kdf.salt !== 'string' ||
+    typeof cipher.iv !== 'string' ||
+    typeof payload !== 'string'
+  ) {
+    return null;
+  }
+  try {
+    const parameters = {
+      iterations,
+      salt: base64ToBytes(kdf.salt),
+      iv: base64ToBytes(cipher.iv),
+      payload: base64ToBytes(payload)
+    };
+    return parameters.salt.length && parameters.iv.length === 12 && parameters.payload.length ? parameters : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function decryptBackupData(bundle, passphrase) {
+  const parameters = readEncryptionParameters(bundle);
+  if (!parameters) {
+    throw new Error('The backup is malformed: its encryption settings are missing or not supported.');
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveBackupKey(passphrase, parameters.salt, parameters.iterations);
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: parameters.iv }, key, parameters.payload);
+  } catch (error) {
+    throw new Error('Wrong passphrase, or the backup is damaged.');
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    throw new Error('The backup is malformed: its decrypted contents are not valid JSON.');
+  }
+}
+
+async function collectWorkspaceData() {
+  saveActiveSession();
+  let sessions = state.sessions;
+  try {
+    sessions = (await runStoreTransaction(SESSION_STORE, 'readonly', (store) => store.getAll())) || sessions;
+  } catch (error) {
+    console.warn('Unable to read conversations for backup', error);
+  }
+
+  return {
+    theme: state.selectedTheme,
+    preferences: buildStoredPreferences(),
+    memories: state.memories,
+    pendingMemories: state.pendingMemories,
+    personas: state.personas,
+    activeSessionId: state.activeSessionId,
+    sessions
+  };
+}
+
+async function createBackupBundle(passphrase = '') {
+  const data = await collectWorkspaceData();
+  const bundle = {
+    format: BACKUP_FORMAT_ID,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    encrypted: Boolean(passphrase)
+  };
+  return passphrase ? { ...bundle, ...(await encryptBackupData(data, passphrase)) } : { ...bundle, data };
+}
+
+function withDefaultPersona(entry) {
+  return entry && typeof entry === 'object' ? { ...entry, personaId: DEFAULT_PERSONA_ID } : entry;
+}
+
+function checkBackupBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT_ID) {
+    throw new Error('The file is not a Unity Chat backup.');
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new Error('The backup has no valid version.');
+  }
+  if (bundle.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app.');
+  }
+}
+
+function migrateBackupData(data, version) {
+  if (!data || typeof data !== 'object') return data;
+  let migrated = data;
+  for (let current = version; current < BACKUP_VERSION; current += 1) {
+    migrated = BACKUP_MIGRATIONS[current - 1](migrated);
+  }
+  return migrated;
+}
+
+function normalizeBackupData(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('The backup does not contain any workspace data.');
+  }
+  return {
+    theme: resolveThemeId(data.theme) || null,
+    preferences: data.preferences && typeof data.preferences === 'object' ? data.preferences : {},
+    memories: Array.isArray(data.memories) ? data.memories.map((entry) => normalizeMemory(entry)).filter(Boolean) : [],
+    pendingMemories: Array.isArray(data.pendingMemories)
+      ? data.pendingMemories.map((entry) => normalizeMemory(entry)).filter(Boolean)
+      : [],
+    personas: Array.isArray(data.personas) ? data.personas.map(normalizePersona).filter(Boolean) : [],
+    activeSessionId: typeof data.activeSessionId === 'string' ? data.activeSessionId : null,
+    sessions: Array.isArray(data.sessions) ? data.sessions.map(normalizeSessionRecord).filter(Boolean) : []
+  };
+}
+
+async function readBackupBundle(bundle, passphrase) {
+  checkBackupBundle(bundle);
+  if (!bundle.encrypted) {
+    return normalizeBackupData(migrateBackupData(bundle.data, bundle.version));
+  }
+  if (!passphrase) {
+    throw new Error('This backup is encrypted. Enter its passphrase first.');
+  }
+  return normalizeBackupData(migrateBackupData(await decryptBackupData(bundle, passphrase), bundle.version));
+}
+
+// Replace swaps everything out; merge keeps current settings and adds whatever the backup has that is missing or newer.
+async function restoreWorkspaceData(backup, mode) {
+  const replace = mode === 'replace';
+  const currentPreferences = buildStoredPreferences();
+  const preferences = replace ? backup.preferences : { ...backup.preferences, ...currentPreferences };
+  const memories = dedupeMemories(replace ? backup.memories : [...state.memories, ...backup.memories]);
+  const pendingMemories = dedupeMemories(
+    replace ? backup.pendingMemories : [...state.pendingMemories, ...backup.pendingMemories]
+  );
+
+  const current = new Map((replace ? [] : state.sessions).map((session) => [session.id, session]));
+  backup.sessions.forEach((session) => {
+    const existing = current.get(session.id);
+    if (!existing || String(session.updatedAt) > String(existing.updatedAt)) {
+      current.set(session.id, session);
+    }
+  });
+  const sessions = [...current.values()];
+
+  await runStoreTransaction(SESSION_STORE, 'readwrite', (store) => {
+    if (replace) {
+      store.clear();
+    }
+    sessions.forEach((session) => store.put(session));
+  });
+
+  localStorage.setItem(STORAGE_KEYS.preferences, JSON.stringify(preferences));
+  localStorage.setItem(STORAGE_KEYS.memories, JSON.stringify(memories));
+  localStorage.setItem(STORAGE_KEYS.pendingMemories, JSON.stringify(pendingMemories));
+  const personas = new Map((replace ? [] : state.personas).map((persona) => [persona.id, persona]));
+  backup.personas.forEach((persona) => {
+    if (!personas.has(persona.id)) personas.set(persona.id, persona);
+  });
+  localStorage.setItem(STORAGE_KEYS.personas, JSON.stringify([...personas.values()]));
+  const restoredIds = new Set([...memories, ...pendingMemories].map((memory) => memory.id));
+  const deletedMemories = Object.fromEntries(
+    Object.entries(readDeletedMemories()).filter(([id]) => !restoredIds.has(id))
+  );
+  localStorage.setItem(STORAGE_KEYS.deletedMemories, JSON.stringify(deletedMemories));
+  if (replace && backup.theme) {
+    localStorage.setItem(STORAGE_KEYS.theme, backup.theme);
+  }
+  const activeSessionId = replace ? backup.activeSessionId : state.activeSessionId;
+  if (activeSessionId) {
+    localStorage.setItem(STORAGE_KEYS.activeSession, activeSessionId);
+  }
+
+  return { sessions: backup.sessions.length, memories: backup.memories.length };
+}
+
+async function handleCreateBackup() {
+  const passphrase = elements.backupPassphrase?.value || '';
+  try {
+    const bundle = await createBackupBundle(passphrase);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`unity-chat-backup-${date}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+    showToast(passphrase ? 'Encrypted backup downloaded.' : 'Backup downloaded.', 'success');
+  } catch (error) {
+    console.error('Unable to create backup', error);
+    showToast('The backup could not be created.', 'error');
+  }
+}
+
+async function handleBackupFile(event) {
+  const input = event.target;
+  const [file] = input.files || [];
+  input.value = '';
+  if (!file) return;
+
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before restoring.', 'error');
+    return;
+  }
+
+  const mode = elements.restoreMode?.value === 'replace' ? 'replace' : 'merge';
+  try {
+    const backup = await readBackupBundle(JSON.parse(await file.text()), elements.backupPassphrase?.value || '');
+    if (mode === 'replace' && !window.confirm('Replace all current memories, settings, and conversations with this backup?')) {
+      return;
+    }
+    const restored = await restoreWorkspaceData(backup, mode);
+    postSyncMessage({ type: 'workspace-restored' });
+    showToast(`Restored ${restored.sessions} conversations and ${restored.memories} memories. Reloading…`, 'success');
+    window.setTimeout(() => window.location.reload(), 1200);
+  } catch (error) {
+    console.error('Unable to restore backup', error);
+    showToast(error instanceof SyntaxError ? 'That file is not valid JSON.' : error.message, 'error');
+  }
+}
+
+function normalizePersona(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id) {
+    return null;
+  }
+  if (entry.id === DEFAULT_PERSONA_ID) return null;
+  const name = String(entry.name || '').trim().slice(0, PERSONA_NAME_LENGTH);
+  const instructions = String(entry.instructions || '').trim();
+  if (!name || !instructions) return null;
+  return {
+    id: entry.id,
+    name,
+    instructions,
+    model: typeof entry.model === 'string' ? entry.model : '',
+    voice: typeof entry.voice === 'string' ? entry.voice : '',
+    theme: resolveThemeId(entry.theme),
+    updatedAt: entry.updatedAt || new Date().toISOString()
+  };
+}
+
+function readStoredPersonas() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEYS.personas) || '[]');
+    return Array.isArray(parsed) ? parsed.map(normalizePersona).filter(Boolean) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// ai-instruct.txt is the built-in persona; it cannot be edited or deleted here.
+function getPersonaList() {
+  return [
+    {
+      id: DEFAULT_PERSONA_ID,
+      name: DEFAULT_PERSONA_NAME,
+      instructions: state.aiInstruct,
+      model: '',
+      voice: '',
+      theme: '',
+      builtIn: true
+    },
+    ...state.personas
+  ];
+}
+
+function getActivePersona() {
+  const personas = getPersonaList();
+  return personas.find((persona) => persona.id === state.activePersonaId) || personas[0];
+}
+
+function renderPersonas() {
+  if (!elements.personaSelect) return;
+  const active = getActivePersona();
+  state.activePersonaId = active.id;
+  populateSelect(
+    elements.personaSelect,
+    getPersonaList().map((persona) => ({ id: persona.id, label: persona.name })),
+    active.id
+  );
+  elements.personaSelect.value = active.id;
+  if (elements.editPersona) elements.editPersona.disabled = Boolean(active.builtIn);
+  if (elements.deletePersona) elements.deletePersona.disabled = Boolean(active.builtIn);
+}
+
+function renderPersonaScope() {
+  closePersonaEditor();
+  renderPersonas();
+  renderMemories();
+  renderPendingMemories();
+  renderMemoryUsage();
+}
+
+function applyPersonaDefaults(persona) {
+  const previousModel = state.selectedModel;
+  restoreSessionSelections({ model: persona.model, voice: persona.voice });
+  if (persona.theme && persona.theme !== state.selectedTheme) {
+    applyTheme(persona.theme, { persist: false });
+  }
+  if (state.selectedModel !== previousModel) {
+    renderFailoverList();
+    updateComposerAvailability();
+  }
+  updateSessionSnapshot();
+}
+
+function selectPersona(personaId) {
+  const persona = getPersonaList().find((item) => item.id === personaId);
+  if (!persona) return;
+  state.activePersonaId = persona.id;
+  applyPersonaDefaults(persona);
+  renderPersonaScope();
+  persistState();
+}
+
+function handlePersonaChange(event) {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before switching personas.', 'error');
+    renderPersonas();
+    return;
+  }
+  selectPersona(event.target.value);
+  showToast(`Persona set to ${getActivePersona().name}.`, 'info', 2200);
+}
+
+function fillPersonaDefaultSelect(select, options, value, emptyLabel) {
+  if (!select) return;
+  select.disabled = false;
+  select.replaceChildren(
+    ...[{ id: '', label: emptyLabel }, ...options].map((entry) => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.label || entry.id;
+      return option;
+    })
+  );
+  select.value = options.some((entry) => entry.id === value) ? value : '';
+}
+
+function openPersonaEditor(persona) {
+  if (!elements.personaEditor || persona?.builtIn) return;
+  const source = persona || getActivePersona();
+  elements.personaEditor.dataset.personaId = persona?.id || '';
+  elements.personaName.value = persona?.name || '';
+  elements.personaInstructions.value = source.instructions || '';
+  fillPersonaDefaultSelect(elements.personaModel, state.availableModels, persona?.model, 'Keep current model');
+  fillPersonaDefaultSelect(
+    elements.personaVoice,
+    state.availableVoices.map((voice) => ({ id: voice, label: voice })),
+    persona?.voice,
+    'Keep current voice'
+  );
+  fillPersonaDefaultSelect(elements.personaTheme, state.availableThemes, persona?.theme, 'Keep current theme');
+  elements.personaEditor.hidden = false;
+  elements.personaName.focus();
+}
+
+function closePersonaEditor() {
+  if (!elements.personaEditor) return;
+  elements.personaEditor.hidden = true;
+  delete elements.personaEditor.dataset.personaId;
+}
+
+function handlePersonaEditorSubmit(event) {
+  event.preventDefault();
+  const personaId = elements.personaEditor.dataset.personaId;
+  const persona = normalizePersona({
+    id: personaId || createId(),
+    name: elements.personaName.value,
+    instructions: elements.personaInstructions.value,
+    model: elements.personaModel.value,
+    voice: elements.personaVoice.value,
+    theme: elements.personaTheme.value,
+    updatedAt: new Date().toISOString()
+  });
+  if (!persona) {
+    showToast('A persona needs a name and instructions.', 'error');
+    return;
+  }
+
+  const index = state.personas.findIndex((item) => item.id === persona.id);
+  if (index === -1) {
+    state.personas.push(persona);
+  } else {
+    state.personas[index] = persona;
+  }
+  closePersonaEditor();
+  selectPersona(persona.id);
+  showToast(index === -1 ? `Persona "${persona.name}" created.` : `Persona "${persona.name}" saved.`, 'success');
+}
+
+function deleteActivePersona() {
+  const persona = getActivePersona();
+  if (persona.builtIn) return;
+  const memoryCount = state.memories.filter((memory) => memory.personaId === persona.id).length;
+  const warning = memoryCount ? ` Its ${memoryCount} saved memories will be deleted too.` : '';
+  if (!window.confirm(`Delete the persona "${persona.name}"?${warning}`)) return;
+
+  const removed = [...state.memories, ...state.pendingMemories].filter((memory) => memory.personaId === persona.id);
+  markMemoriesDeleted(removed.map((memory) => memory.id));
+  state.memories = state.memories.filter((memory) => memory.personaId !== persona.id);
+  state.pendingMemories = state.pendingMemories.filter((memory) => memory.personaId !== persona.id);
+  state.personas = state.personas.filter((item) => item.id !== persona.id);
+  state.activePersonaId = DEFAULT_PERSONA_ID;
+  renderPersonaScope();
+  persistState();
+  showToast('Persona deleted. This chat now uses the default persona.', 'info');
+}
+
+function buildSystemPrompt(memories = selectPromptMemories(), { conversationSummary = '', historyDigest = '' } = {}) {
+  const theme = findThemeById(state.selectedTheme);
+  const themeLabel = theme?.label || 'Daylight';
+  const memoryBlock = memories.map(({ text }) => `[memory]${text}[/memory]`).join('\n');
+  const memoryCopy = memories.map(({ text }, index) => `${index + 1}. ${text}`).join('\n');
+
+  const persona = getActivePersona();
+
+  return [
+    persona.instructions || state.aiInstruct,
+    '---',
+    'Session parameters:',
+    `- Persona: ${persona.name}`,
+    `- Active theme: ${themeLabel}`,
+    `- Preferred voice: ${state.selectedVoice}`,
+    `- Selected model: ${state.selectedModel}`,
+    state.memoryEnabled && memoryBlock
+      ? `Memories provided by the workspace (with plain copies):\n${memoryBlock}\nPlain list:\n${memoryCopy}`
+      : 'No memories are currently shared for this session.',
+    conversationSummary ? `Summary of the conversation so far:\n${conversationSummary}` : '',
+    historyDigest ? `Earlier turns that no longer fit in the context window, condensed:\n${historyDigest}` : '',
+    'Always include any generated code between [CODE] markers with fenced language blocks, image URLs between [IMAGE] markers, ' +
+      'and new long-term memories between [memory] markers as described.'
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function buildPayloadMessage({ role, content, attachments, toolCalls, toolCallId, name }) {
+  if (role === 'tool') {
+    return { role, tool_call_id: toolCallId, name, content };
+  }
+  if (Array.isArray(toolCalls) && toolCalls.length) {
+    return {
+      role,
+      content: content || null,
+      tool_calls: toolCalls.map((call) => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    };
+  }
+  if (!Array.isArray(attachments) || !attachments.length || !modelAcceptsImages()) {
+    return { role, content };
+  }
+  return {
+    role,
+    content: [
+      ...(content ? [{ type: 'text', text: content }] : []),
+      ...attachments.map((attachment) => ({ type: 'image_url', image_url: { url: attachment.dataUrl } }))
+    ]
+  };
+}
+
+function buildPayload({ stream = false, tools = true, memories } = {}) {
+  const toolDefinitions =
+    tools && state.toolsEnabled && modelSupportsTools()
+      ? LOCAL_TOOLS.map(({ name, description, parameters }) => ({
+          type: 'function',
+          function: { name, description, parameters }
+        }))
+      : null;
+  const context = planContext({
+    memories,
+    reserved: toolDefinitions ? estimateTokens(JSON.stringify(toolDefinitions)) : 0
+  });
+  const payload = {
+    model: state.selectedModel,
+    private: true,
+    messages: [{ role: 'system', content: context.systemPrompt }, ...context.messages.map(buildPayloadMessage)]
+  };
+
+  if (toolDefinitions) {
+    payload.tools = toolDefinitions;
+    payload.tool_choice = 'auto';
+  }
+
+  if (state.selectedVoice) {
+    payload.voice = state.selectedVoice;
+  }
+
+  Object.assign(payload, buildGenerationParams(getGenerationSettings()));
+
+  if (stream) {
+    payload.stream = true;
+  }
+
+  return payload;
+}
+
+function extractAssistantContent(data) {
+  return data?.choices?.[0]?.message?.content || data?.message || '';
+}
+
+function extractStreamDelta(chunk) {
+  const choice = chunk?.choices?.[0];
+  const delta = choice?.delta?.content ?? choice?.message?.content ?? choice?.text ?? '';
+  return typeof delta === 'string' ? delta : '';
+}
+
+function normalizeToolCall(call) {
+  return {
+    id: call.id || createId(),
+    name: call.function?.name || '',
+    arguments: call.function?.arguments || '{}'
+  };
+}
+
+function extractToolCalls(data) {
+  const calls = data?.choices?.[0]?.message?.tool_calls;
+  return Array.isArray(calls) ? calls.map(normalizeToolCall) : [];
+}
+
+// Streamed tool calls arrive as fragments keyed by index; names and arguments are concatenated.
+function collectToolCallDeltas(chunk, toolCalls) {
+  const deltas = chunk?.choices?.[0]?.delta?.tool_calls;
+  if (!Array.isArray(deltas)) return;
+
+  deltas.forEach((delta, position) => {
+    const index = Number.isInteger(delta.index) ? delta.index : position;
+    const call = toolCalls[index] || (toolCalls[index] = { id: '', function: { name: '', arguments: '' } });
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  });
+}
+
+function isEventStream(response) {
+  const contentType = response.headers?.get?.('content-type') || '';
+  return contentType.toLowerCase().includes('text/event-stream');
+}
+
+async function readEventStream(response, onDelta) {
+  let buffer = '';
+  let content = '';
+  let finished = false;
+  const toolCalls = [];
+
+  const processEvent = (rawEvent) => {
+    const data = rawEvent
+      .split('\n')
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+
+    if (!data) return;
+    if (data.trim() === '[DONE]') {
+      finished = true;
+      return;
+    }
+
+    try {
+      const chunk = JSON.parse(data);
+      collectToolCallDeltas(chunk, toolCalls);
+      const delta = extractStreamDelta(chunk);
+      if (delta) {
+        content += delta;
+        onDelta(content, delta);
+      }
+    } catch (error) {
+      console.warn('Skipping malformed stream chunk', error);
+    }
+  };
+
+  const drain = (flush = false) => {
+    const events = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+    buffer = flush ? '' : events.pop();
+    for (const rawEvent of events) {
+      if (finished) break;
+      processEvent(rawEvent);
+    }
+  };
+
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    buffer = await response.text();
+    drain(true);
+    return { content, toolCalls: toolCalls.filter(Boolean).map(normalizeToolCall) };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (!finished) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    drain();
+  }
+
+  if (finished) {
+    reader.cancel().catch(() => {});
+  } else {
+    buffer += decoder.decode();
+    drain(true);
+  }
+
+  return { content, toolCalls: toolCalls.filter(Boolean).map(normalizeToolCall) };
+}
+
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// A small recursive-descent parser so model-supplied expressions never reach eval().
+function evaluateExpression(expression) {
+  const source = String(expression || '');
+  const tokens = source.match(/\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+|[a-z_]+|\*\*|[-+*/%^(),]|\S/gi) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}" in expression.`);
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('The expression ended unexpectedly.');
+    if (/^(\d|\.\d)/.test(token)) return Number(token);
+    if (token === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(CALCULATOR_FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseSum()];
+      while (peek() === ',') {
+        next();
+        args.push(parseSum());
+      }
+      expect(')');
+      return CALCULATOR_FUNCTIONS[name](...args);
+    }
+    if (Object.hasOwn(CALCULATOR_CONSTANTS, name)) return CALCULATOR_CONSTANTS[name];
+    throw new Error(`Unsupported token "${token}" in expression.`);
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const operand = parseUnary();
+      value = operator === '*' ? value * operand : operator === '/' ? value / operand : value % operand;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  };
+
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}" in expression.`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('The result is not a finite number.');
+  }
+  return result;
+}
+
+function searchMemories(query, limit = 5) {
+  const terms = String(query || '')
+    .toLowerCase()
+    .split(/\W+/)
+    .filter(Boolean);
+
+  return getPersonaMemories()
+    .map((memory) => {
+      const text = `${memory.text} ${memory.tags.join(' ')}`.toLowerCase();
+      return { memory, score: terms.filter((term) => text.includes(term)).length };
+    })
+    .filter(({ score }) => score > 0 || !terms.length)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ memory }) => ({ text: memory.text, tags: memory.tags, pinned: memory.pinned }));
+}
+
+const LOCAL_TOOLS = [
+  {
+    name: 'calculator',
+    description:
+      'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp, min, max, pow.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'The expression to evaluate, for example "(2 + 3) * sqrt(16)".' }
+      },
+      required: ['expression']
+    },
+    run: ({ expression }) => ({ expression, result: evaluateExpression(expression) })
+  },
+  {
+    name: 'get_current_datetime',
+    description: "Get the current date and time, in the user's time zone unless another IANA zone is given.",
+    parameters: {
+      type: 'object',
+      properties: {
+        timeZone: { type: 'string', description: 'Optional IANA time zone such as "Europe/Berlin".' }
+      }
+    },
+    run: ({ timeZone } = {}) => {
+      const now = new Date();
+      const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const local = new Intl.DateTimeFormat('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' }).format(now);
+      return { iso: now.toISOString(), local, timeZone: zone, unix: Math.floor(now.getTime() / 1000) };
+    }
+  },
+  {
+    name: 'search_memories',
+    description: 'Search the memories saved about the user and return the closest matches.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to look for.' },
+        limit: { type: 'integer', description: 'Maximum number of results (default 5).' }
+      },
+      required: ['query']
+    },
+    run: ({ query, limit }) => {
+      if (!getPersonaMemories().length) {
+        return { matches: [], note: 'No memories are saved.' };
+      }
+      return { matches: searchMemories(query, Math.min(Math.max(Number(limit) || 5, 1), 20)) };
+    }
+  },
+  {
+    name: 'switch_theme',
+    description: 'Change the colour theme of the chat interface.',
+    parameters: {
+      type: 'object',
+      properties: {
+        theme: { type: 'string', description: `Theme name, one of: ${THEME_CATALOG.map(({ id }) => id).join(', ')}.` }
+      },
+      required: ['theme']
+    },
+    run: ({ theme }) => {
+      const target = resolveCommandTarget('theme', String(theme || ''));
+      if (!target) throw new Error(`No theme matches "${theme}".`);
+      applyTheme(target.id);
+      return { theme: target.id, label: target.label };
+    }
+  },
+  {
+    name: 'switch_model',
+    description: 'Change the text model used for the following replies.',
+    parameters: {
+      type: 'object',
+      properties: {
+        model: { type: 'string', description: 'Model id or name from the loaded catalog.' }
+      },
+      required: ['model']
+    },
+    run: ({ model }) => {
+      const target = resolveCommandTarget('model', String(model || ''));
+      if (!target) throw new Error(`No model matches "${model}".`);
+      selectModelById(target.id);
+      return { model: target.id, label: target.label };
+    }
+  }
+];
+
+async function executeToolCall(call) {
+  const tool = LOCAL_TOOLS.find(({ name }) => name === call.name);
+  if (!tool) {
+    return { error: `Unknown tool: ${call.name}` };
+  }
+
+  let args = {};
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch (error) {
+    return { error: 'Tool arguments were not valid JSON.' };
+  }
+
+  try {
+    return await tool.run(args && typeof args === 'object' ? args : {});
+  } catch (error) {
+    return { error: error.message || 'The tool failed.' };
+  }
+}
+
+function findToolResult(toolCallId) {
+  return state.messages.find((message) => message.role === 'tool' && message.toolCallId === toolCallId) || null;
+}
+
+function buildToolCallCards(toolCalls) {
+  const container = document.createElement('div');
+  container.className = 'tool-calls';
+
+  toolCalls.forEach((call) => {
+    const card = document.createElement('div');
+    card.className = 'tool-card';
+
+    const name = document.createElement('div');
+    name.className = 'tool-card-name';
+    name.textContent = `🔧 ${call.name}`;
+
+    const args = document.createElement('code');
+    args.textContent = call.arguments;
+
+    const result = document.createElement('code');
+    result.className = 'tool-card-result';
+    const toolMessage = findToolResult(call.id);
+    if (toolMessage) {
+      result.textContent = `→ ${toolMessage.content}`;
+      card.classList.toggle('error', Boolean(toolMessage.isError));
+    } else {
+      result.textContent = '→ Running…';
+    }
+
+    card.append(name, args, result);
+    container.appendChild(card);
+  });
+
+  return container;
+}
+
+async function runToolRound({ content, toolCalls, model, row }) {
+  const callMessage = {
+    id: createId(),
+    role: 'assistant',
+    content: content || '',
+    toolCalls,
+    model,
+    timestamp: new Date().toISOString()
+  };
+  appendToActivePath(callMessage);
+  let callRow = row ? replaceChatMessage(row, callMessage) : appendChatMessage(callMessage);
+
+  for (const call of toolCalls) {
+    setConnectionStatus(`Running ${call.name || 'tool'}…`, 'busy');
+    const result = await executeToolCall(call);
+    const toolMessage = {
+      id: createId(),
+      role: 'tool',
+      toolCallId: call.id,
+      name: call.name,
+      content: JSON.stringify(result),
+      timestamp: new Date().toISOString()
+    };
+    if (result?.error) {
+      toolMessage.isError = true;
+    }
+    appendToActivePath(toolMessage);
+    callRow = replaceChatMessage(callRow, callMessage);
+  }
+
+  persistState();
+}
+
+function handleToolsToggle(event) {
+  state.toolsEnabled = Boolean(event.target.checked);
+  persistState();
+}
+
+function normalizeGenerationValue(value, { min, max }) {
+  if (value === '' || value == null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.round(Math.min(Math.max(number, min), max) * 100) / 100;
+}
+
+function normalizeGenerationSettings(settings) {
+  const normalized = {};
+  Object.entries(GENERATION_LIMITS).forEach(([key, limits]) => {
+    normalized[key] = normalizeGenerationValue(settings?.[key], limits);
+  });
+  const seed = String(settings?.seed ?? '').trim();
+  normalized.seed = /^\d{1,10}$/.test(seed) ? seed : '';
+  normalized.seedLocked = Boolean(settings?.seedLocked && normalized.seed);
+  normalized.jsonMode = Boolean(settings?.jsonMode);
+  return normalized;
+}
+
+function normalizeGenerationPreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object') return {};
+  return Object.fromEntries(
+    Object.entries(preferences).map(([modelId, settings]) => [modelId, normalizeGenerationSettings(settings)])
+  );
+}
+
+function getGenerationSettings(modelId = state.selectedModel) {
+  return normalizeGenerationSettings(state.generationSettings[modelId]);
+}
+
+// Only values the user set are sent, so each model keeps its own defaults otherwise.
+function buildGenerationParams(settings) {
+  const params = {};
+  Object.entries(GENERATION_PAYLOAD_KEYS).forEach(([key, payloadKey]) => {
+    if (settings[key] !== null) params[payloadKey] = settings[key];
+  });
+  if (settings.jsonMode) {
+    params.response_format = { type: 'json_object' };
+  }
+  return params;
+}
+
+function describeGenerationParams(generation) {
+  const labels = { temperature: 'temp', top_p: 'top_p', presence_penalty: 'presence', frequency_penalty: 'frequency' };
+  const parts = Object.entries(labels)
+    .filter(([key]) => typeof generation[key] === 'number')
+    .map(([key, label]) => `${label} ${generation[key]}`);
+  if (generation.response_format) parts.push('JSON');
+  if (generation.seedLocked) parts.push('seed locked');
+  return parts.join(', ');
+}
+
+function renderGenerationSettings() {
+  if (!elements.generationSettings) return;
+  const settings = getGenerationSettings();
+  const model = state.availableModels.find((entry) => entry.id === state.selectedModel);
+  if (elements.generationModelLabel) {
+    elements.generationModelLabel.textContent = model?.label || state.selectedModel || 'the selected model';
+  }
+  elements.temperatureInput.value = settings.temperature ?? '';
+  elements.topPInput.value = settings.topP ?? '';
+  elements.presencePenaltyInput.value = settings.presencePenalty ?? '';
+  elements.frequencyPenaltyInput.value = settings.frequencyPenalty ?? '';
+  elements.seedLockToggle.checked = settings.seedLocked;
+  elements.seedInput.value = settings.seed;
+  elements.jsonModeToggle.checked = settings.jsonMode;
+}
+
+function handleGenerationSettingsChange(event) {
+  if (!state.selectedModel) return;
+  // Locking without a seed reuses the one from the last reply so it can be reproduced.
+  if (event?.target === elements.seedLockToggle && elements.seedLockToggle.checked && !elements.seedInput.value) {
+    const lastReply = [...state.history].reverse().find((message) => message.role === 'assistant' && message.seed);
+    elements.seedInput.value = lastReply?.seed || generateSeed();
+  }
+
+  const settings = normalizeGenerationSettings({
+    temperature: elements.temperatureInput.value,
+    topP: elements.topPInput.value,
+    presencePenalty: elements.presencePenaltyInput.value,
+    frequencyPenalty: elements.frequencyPenaltyInput.value,
+    seedLocked: elements.seedLockToggle.checked,
+    seed: elements.seedInput.value,
+    jsonMode: elements.jsonModeToggle.checked
+  });
+  const isDefault =
+    Object.keys(GENERATION_LIMITS).every((key) => settings[key] === null) &&
+    !settings.seedLocked &&
+    !settings.seed &&
+    !settings.jsonMode;
+  if (isDefault) {
+    delete state.generationSettings[state.selectedModel];
+  } else {
+    state.generationSettings[state.selectedModel] = settings;
+  }
+  renderGenerationSettings();
+  persistState();
+}
+
+function handleResetGenerationSettings() {
+  delete state.generationSettings[state.selectedModel];
+  renderGenerationSettings();
+  persistState();
+  showToast('Advanced settings reset to the model defaults.', 'info');
+}
+
+function normalizeRequestPolicy(policy) {
+  const retries = Number(policy?.maxRetries);
+  return {
+    maxRetries: Number.isInteger(retries) ? Math.min(Math.max(retries, 0), MAX_REQUEST_RETRIES) : 2,
+    failoverEnabled: Boolean(policy?.failoverEnabled),
+    failoverModels: Array.isArray(policy?.failoverModels)
+      ? policy.failoverModels.filter((id) => typeof id === 'string' && id)
+      : []
+  };
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createResponseError(response) {
+  const error = new Error(`Request failed: ${response.status}`);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+  return error;
+}
+
+function isRetryableError(error) {
+  if (!error) return false;
+  if (typeof error.status !== 'number') return true;
+  return RETRYABLE_STATUS_CODES.includes(error.status);
+}
+
+function computeRetryDelay(attempt, retryAfter) {
+  if (typeof retryAfter === 'number') {
+    return Math.min(retryAfter, RETRY_AFTER_CAP_MS);
+  }
+  const exponential = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+function waitForRetry(delay, signal, describe) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + delay;
+    let interval = null;
+    let timeout = null;
+
+    const cleanup = () => {
+      window.clearInterval(interval);
+      window.clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(new DOMException('The retry was cancelled.', 'AbortError'));
+    };
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setConnectionStatus(describe(seconds), 'busy');
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    tick();
+    interval = window.setInterval(tick, 250);
+    timeout = window.setTimeout(() => {
+      cleanup();
+      resolve();
+    }, delay);
+  });
+}
+
+function resolveFailoverChain() {
+  const chain = [state.selectedModel];
+  if (!state.requestPolicy.failoverEnabled) {
+    return chain;
+  }
+  state.requestPolicy.failoverModels.forEach((id) => {
+    if (!chain.includes(id) && state.availableModels.some((model) => model.id === id)) {
+      chain.push(id);
+    }
+  });
+  return chain;
+}
+
+async function requestCompletion(payload, { signal, seed, models, retries = state.requestPolicy.maxRetries } = {}) {
+  const chain = models || resolveFailoverChain();
+  const attempts = retries + 1;
+  let lastError = null;
+
+  for (const [index, model] of chain.entries()) {
+    if (index > 0) {
+      setConnectionStatus(`Failing over to ${model}…`, 'busy');
+    }
+
+    for (let attempt = 1; attempt <= attempts; attempt += 1) {
+      try {
+        const response = await fetch(buildGatewayUrl(model, { seed }), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: payload.stream ? 'text/event-stream' : 'application/json'
+          },
+          body: JSON.stringify({ ...payload, model }),
+          signal
+        });
+
+        if (response.ok) {
+          return { response, model };
+        }
+        lastError = createResponseError(response);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        lastError = error;
+      }
+
+      console.warn(`Attempt ${attempt}/${attempts} with ${model} failed`, lastError);
+      if (!isRetryableError(lastError) || attempt === attempts) break;
+
+      const delay = computeRetryDelay(attempt, lastError.retryAfter);
+      await waitForRetry(delay, signal, (seconds) => {
+        const reason = lastError.status === 429 ? 'Rate limited' : 'Request failed';
+        return `${reason}. Retrying in ${seconds}s (${attempt + 1}/${attempts})`;
+      });
+      setConnectionStatus('Contacting Pollinations…', 'busy');
+    }
+  }
+
+  throw lastError;
+}
+
+function renderFailoverList() {
+  if (!elements.failoverList) return;
+  elements.failoverList.innerHTML = '';
+
+  const backups = state.availableModels.filter((model) => model.id !== state.selectedModel);
+  if (!backups.length) {
+    const placeholder = document.createElement('li');
+    placeholder.className = 'empty';
+    placeholder.textContent = 'No other models available.';
+    elements.failoverList.appendChild(placeholder);
+    return;
+  }
+
+  const { failoverModels } = state.requestPolicy;
+  const ordered = [
+    ...failoverModels.map((id) => backups.find((model) => model.id === id)).filter(Boolean),
+    ...backups.filter((model) => !failoverModels.includes(model.id))
+  ];
+
+  ordered.forEach((model) => {
+    const included = failoverModels.includes(model.id);
+    const item = document.createElement('li');
+    item.className = 'failover-item';
+    item.dataset.modelId = model.id;
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = included;
+    checkbox.dataset.action = 'toggle';
+    const name = document.createElement('span');
+    name.textContent = model.label;
+    label.append(checkbox, name);
+    item.appendChild(label);
+
+    if (included) {
+      const position = failoverModels.indexOf(model.id);
+      const up = document.createElement('button');
+      up.type = 'button';
+      up.className = 'icon-button';
+      up.dataset.action = 'up';
+      up.textContent = '↑';
+      up.title = 'Try earlier';
+      up.disabled = position === 0;
+      const down = document.createElement('button');
+      down.type = 'button';
+      down.className = 'icon-button';
+      down.dataset.action = 'down';
+      down.textContent = '↓';
+      down.title = 'Try later';
+      down.disabled = position === failoverModels.length - 1;
+      item.append(up, down);
+    }
+
+    elements.failoverList.appendChild(item);
+  });
+
+  elements.failoverList.classList.toggle('disabled', !state.requestPolicy.failoverEnabled);
+}
+
+function handleFailoverListInput(event) {
+  const control = event.target.closest('[data-action]');
+  const item = event.target.closest('.failover-item');
+  if (!control || !item) return;
+  // Checkbox toggles arrive through the change event; clicks only drive the reorder buttons.
+  if (event.type === 'click' && control.dataset.action === 'toggle') return;
+
+  const { modelId } = item.dataset;
+  const order = state.requestPolicy.failoverModels.filter((id) => id !== modelId);
+  const position = state.requestPolicy.failoverModels.indexOf(modelId);
+
+  if (control.dataset.action === 'toggle') {
+    if (control.checked) {
+      order.push(modelId);
+    }
+  } else if (control.dataset.action === 'up' && position > 0) {
+    order.splice(position - 1, 0, modelId);
+  } else if (control.dataset.action === 'down' && position >= 0) {
+    order.splice(position + 1, 0, modelId);
+  } else {
+    return;
+  }
+
+  state.requestPolicy.failoverModels = order;
+  persistState();
+  renderFailoverList();
+}
+
+function handleRetryLimitChange(event) {
+  state.requestPolicy.maxRetries = normalizeRequestPolicy({ maxRetries: Number(event.target.value) }).maxRetries;
+  event.target.value = String(state.requestPolicy.maxRetries);
+  persistState();
+}
+
+function handleFailoverToggle(event) {
+  state.requestPolicy.failoverEnabled = Boolean(event.target.checked);
+  persistState();
+  renderFailoverList();
+  showToast(
+    state.requestPolicy.failoverEnabled
+      ? 'Checked models will be tried in order when the selected one fails.'
+      : 'Failover disabled.',
+    'info'
+  );
+}
+
+function describeReplyOutcome(assistantMessage, answeringModel, memoryOutcome) {
+  const parts = [
+    assistantMessage.failover ? `${state.selectedModel} was unavailable, ${answeringModel} replied.` : 'Assistant replied.'
+  ];
+  if (memoryOutcome?.queued) {
+    parts.push(`${memoryOutcome.queued} memory proposal${memoryOutcome.queued === 1 ? '' : 's'} awaiting review.`);
+  }
+  if (memoryOutcome?.rejected.length) {
+    const count = memoryOutcome.rejected.length;
+    parts.push(`${count} proposed memor${count === 1 ? 'y was' : 'ies were'} rejected because ${memoryOutcome.rejected[0]}.`);
+  }
+  return parts.join(' ');
+}
+
+function ensureModelSelected() {
+  const hasSelectedModel = Boolean(
+    state.selectedModel && state.availableModels.some((model) => model.id === state.selectedModel)
+  );
+  if (!hasSelectedModel) {
+    showToast('Select a Pollinations model before sending.', 'error');
+    updateComposerAvailability();
+  }
+  return hasSelectedModel;
+}
+
+function canPostMessage(attachments = state.pendingAttachments) {
+  if (state.isSending || !ensureModelSelected()) return false;
+  if (attachments.length && !modelAcceptsImages()) {
+    showToast(`${state.selectedModel} cannot read images. Remove them or pick a vision model.`, 'error');
+    return false;
+  }
+  return true;
+}
+
+// Images the user chose to load this session, from hosts outside the allowlist.
+const loadedImageUrls = new Set();
+
+function normalizeContentPolicy(policy) {
+  const hosts = Array.isArray(policy?.imageHosts)
+    ? policy.imageHosts.map((host) => String(host).trim().toLowerCase()).filter((host) => IMAGE_HOST_PATTERN.test(host))
+    : DEFAULT_IMAGE_HOSTS;
+  return {
+    imageHosts: [...new Set(hosts)],
+    confirmLinks: typeof policy?.confirmLinks === 'boolean' ? policy.confirmLinks : true
+  };
+}
+
+function parseWebUrl(value) {
+  try {
+    const url = new URL(value, window.location.href);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getUrlHost(value) {
+  return parseWebUrl(value)?.host || 'an unknown host';
+}
+
+function isExternalUrl(value) {
+  const url = parseWebUrl(value);
+  return Boolean(url) && url.origin !== window.location.origin;
+}
+
+// Entries are exact hosts, or "*.example.com" for any subdomain of example.com.
+function isAllowedImageUrl(value) {
+  if (/^data:image\//i.test(value)) return true;
+  const url = parseWebUrl(value);
+  if (!url) return false;
+  if (url.origin === window.location.origin) return true;
+  return state.contentPolicy.imageHosts.some((pattern) =>
+    pattern.startsWith('*.') ? url.host.endsWith(pattern.slice(1)) : url.host === pattern
+  );
+}
+
+let pageImageSources;
+
+// The built site pins img-src in a CSP meta tag. Anything outside it can never load, even on request.
+function getPageImageSources() {
+  if (pageImageSources === undefined) {
+    const policy =
+      document.querySelector('meta[http-equiv="Content-Security-Policy"]')?.getAttribute('content') || '';
+    const directive = policy
+      .split(';')
+      .map((part) => part.trim().split(/\s+/))
+      .find(([name]) => name === 'img-src');
+    pageImageSources = directive ? directive.slice(1) : null;
+  }
+  return pageImageSources;
+}
+
+function isImageAllowedByPage(value) {
+  const sources = getPageImageSources();
+  if (!sources) return true;
+  if (/^data:/i.test(value)) return sources.includes('data:');
+  const url = parseWebUrl(value);
+  if (!url) return false;
+  return sources.some((source) => {
+    if (source === "'self'") return url.origin === window.location.origin;
+    if (/^[a-z]+:$/i.test(source)) return url.protocol === source.toLowerCase();
+    const match = source.match(/^(https?):\/\/(\*\.)?([^/]+)/i);
+    if (!match || `${match[1].toLowerCase()}:` !== url.protocol) return false;
+    const host = match[3].toLowerCase();
+    return match[2] ? url.host.endsWith(`.${host}`) : url.host === host;
+  });
+}
+
+function canLoadImage(url) {
+  return isImageAllowedByPage(url) && (isAllowedImageUrl(url) || loadedImageUrls.has(url));
+}
+
+function stripTrackingParams(value) {
+  const url = parseWebUrl(value);
+  if (!url) return value;
+  const tracked = [...url.searchParams.keys()].filter((key) => TRACKING_PARAM_PATTERN.test(key));
+  if (!tracked.length) return value;
+  tracked.forEach((key) => url.searchParams.delete(key));
+  return url.toString();
+}
+
+// Markdown is rewritten inside a template, whose content is inert, so blocked images never start loading.
+function renderPolicedMarkdown(text) {
+  const template = document.createElement('template');
+  template.innerHTML = formatters.markdown(text);
+  applyContentPolicy(template.content);
+  return template.content;
+}
+
+// Exports are opened outside the app, so only allowlisted images are embedded; the rest become links.
+function policeExportHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  applyContentPolicy(template.content, { canLoad: isAllowedImageUrl, blockedImage: buildImageLink });
+  return template.innerHTML;
+}
+
+function applyContentPolicy(fragment, { canLoad = canLoadImage, blockedImage = buildBlockedImage } = {}) {
+  fragment.querySelectorAll('img').forEach((image) => {
+    const source = stripTrackingParams(image.getAttribute('src') || '');
+    image.removeAttribute('srcset');
+    if (!source) {
+      image.remove();
+    } else if (canLoad(source)) {
+      image.setAttribute('src', source);
+      image.loading = 'lazy';
+    } else {
+      image.replaceWith(blockedImage(source));
+    }
+  });
+
+  fragment.querySelectorAll('a[href]').forEach((link) => {
+    const href = stripTrackingParams(link.getAttribute('href'));
+    link.setAttribute('href', href);
+    link.rel = 'noopener noreferrer';
+    if (isExternalUrl(href)) {
+      link.target = '_blank';
+    }
+  });
+}
+
+// The Markdown counterpart of policeExportHtml: images from other hosts become links, and every URL
+// loses its tracking parameters.
+function policeExportMarkdown(text) {
+  const definitions = new Map();
+  text.replace(/^ {0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s|$)/gm, (match, label, url) => {
+    definitions.set(label.toLowerCase(), url);
+    return match;
+  });
+
+  return text
+    .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?([^)]*)\)/g, (match, alt, url, rest) => {
+      const source = stripTrackingParams(url);
+      return isAllowedImageUrl(source) ? match : `[${alt || `Image from ${getUrlHost(source)}`}](${url}${rest})`;
+    })
+    .replace(/!\[([^\]]*)\]\[([^\]]*)\]/g, (match, alt, label) => {
+      const url = definitions.get((label || alt).toLowerCase());
+      return !url || isAllowedImageUrl(stripTrackingParams(url)) ? match : match.slice(1);
+    })
+    .replace(/https?:\/\/[^\s<>()"'\]]+/g, (url) => {
+      const [, address, trailing] = url.match(/^(.*?)([.,;:!?]*)$/);
+      return `${stripTrackingParams(address)}${trailing}`;
+    });
+}
+
+function buildImageLink(url) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.textContent = `Image from ${getUrlHost(url)}`;
+  return link;
+}
+
+function buildBlockedImage(url) {
+  const host = getUrlHost(url);
+  const figure = document.createElement('figure');
+  figure.className = 'chat-image is-blocked';
+  figure.style.setProperty('--image-ratio', getImageAspectRatio(url));
+
+  const notice = document.createElement('div');
+  notice.className = 'chat-image-error';
+  const text = document.createElement('span');
+  text.title = url;
+  if (!isImageAllowedByPage(url)) {
+    text.textContent = `Images from ${host} are blocked by this site's security policy.`;
+    notice.appendChild(text);
+    figure.appendChild(notice);
+    return figure;
+  }
+  text.textContent = `Image from ${host} not loaded.`;
+  const load = document.createElement('button');
+  load.type = 'button';
+  load.className = 'ghost-button';
+  load.textContent = 'Load image';
+  load.addEventListener('click', () => {
+    loadedImageUrls.add(url);
+    figure.replaceWith(buildChatImage(url));
+    renderGallery();
+  });
+  notice.append(text, load);
+
+  const pattern = parseWebUrl(url)?.host;
+  if (pattern && IMAGE_HOST_PATTERN.test(pattern)) {
+    const allow = document.createElement('button');
+    allow.type = 'button';
+    allow.className = 'ghost-button';
+    allow.textContent = `Always allow ${pattern}`;
+    allow.addEventListener('click', () => allowImageHost(pattern));
+    notice.appendChild(allow);
+  }
+
+  figure.appendChild(notice);
+  return figure;
+}
+
+function allowImageHost(host) {
+  state.contentPolicy = normalizeContentPolicy({
+    ...state.contentPolicy,
+    imageHosts: [...state.contentPolicy.imageHosts, host]
+  });
+  renderContentPolicy();
+  rerenderChatInPlace();
+  persistState();
+  showToast(`Images from ${host} will load automatically.`, 'success');
+}
+
+function rerenderChatInPlace() {
+  if (!elements.chatLog) return;
+  const { scrollTop } = elements.chatLog;
+  renderChat();
+  elements.chatLog.scrollTop = scrollTop;
+}
+
+function confirmExternalLink(event, link) {
+  const href = link.getAttribute('href');
+  if (!state.contentPolicy.confirmLinks || !isExternalUrl(href)) return;
+  if (!window.confirm(`Open this link in a new tab?\n\n${href}`)) {
+    event.preventDefault();
+  }
+}
+
+function renderContentPolicy() {
+  if (!elements.contentPolicyForm) return;
+  elements.imageHostList.value = state.contentPolicy.imageHosts.join('\n');
+  elements.confirmLinksToggle.checked = state.contentPolicy.confirmLinks;
+}
+
+function handleContentPolicyChange() {
+  const entries = elements.imageHostList.value.split(/[\n,]+/).map((entry) => entry.trim()).filter(Boolean);
+  const rejected = entries.filter((entry) => !IMAGE_HOST_PATTERN.test(entry.toLowerCase()));
+  state.contentPolicy = normalizeContentPolicy({
+    imageHosts: entries,
+    confirmLinks: elements.confirmLinksToggle.checked
+  });
+  if (rejected.length) {
+    showToast(`Ignored ${rejected.join(', ')}: enter host names like images.example.com.`, 'error');
+  }
+  renderContentPolicy();
+  rerenderChatInPlace();
+  persistState();
+}
+
+// Pollinations puts the prompt in the path, with underscores or plus signs often standing in for spaces.
+function describeImageUrl(url) {
+  try {
+    const match = new URL(url).pathname.match(/\/prompt\/(.+)$/);
+    if (match) {
+      const prompt = decodeURIComponent(match[1]).replace(/[_+]+/g, ' ').replace(/\s+/g, ' ').trim();
+      if (prompt) return prompt;
+    }
+  } catch (error) {
+    // Fall through to the generic description.
+  }
+  return 'AI generated illustration';
+}
+
+function getImageAspectRatio(url) {
+  try {
+    const params = new URL(url).searchParams;
+    const width = Number(params.get('width'));
+    const height = Number(params.get('height'));
+    if (width > 0 && height > 0) return `${width} / ${height}`;
+  } catch (error) {
+    // Unknown sizes keep the square placeholder.
+  }
+  return '1';
+}
+
+function buildChatImage(url) {
+  if (!canLoadImage(url)) {
+    return buildBlockedImage(url);
+  }
+
+  const figure = document.createElement('figure');
+  figure.className = 'chat-image is-loading';
+  figure.style.setProperty('--image-ratio', getImageAspectRatio(url));
+
+  const image = document.createElement('img');
+  image.alt = describeImageUrl(url);
+  image.title = image.alt;
+  image.loading = 'lazy';
+  image.dataset.imageUrl = url;
+  image.addEventListener('load', () => {
+    figure.classList.remove('is-loading', 'has-error');
+    figure.querySelector('.chat-image-error')?.remove();
+  });
+  image.addEventListener('error', () => showChatImageError(figure, image, url));
+  image.addEventListener('click', () => openLightbox(url));
+  image.src = url;
+  figure.appendChild(image);
+  return figure;
+}
+
+function showChatImageError(figure, image, url) {
+  figure.classList.remove('is-loading');
+  figure.classList.add('has-error');
+  if (figure.querySelector('.chat-image-error')) return;
+
+  const notice = document.createElement('div');
+  notice.className = 'chat-image-error';
+  const text = document.createElement('span');
+  text.textContent = 'The image could not be loaded.';
+  const retry = document.createElement('button');
+  retry.type = 'button';
+  retry.className = 'ghost-button';
+  retry.textContent = 'Retry';
+  retry.addEventListener('click', () => {
+    notice.remove();
+    figure.classList.remove('has-error');
+    figure.classList.add('is-loading');
+    image.removeAttribute('src');
+    image.src = url;
+  });
+  notice.append(text, retry);
+  figure.appendChild(notice);
+}
+
+// Includes images on every branch of the chat, in the order they were made.
+function collectSessionImages() {
+  const seen = new Set();
+  return state.messages
+    .filter((message) => message.role === 'assistant' && message.content)
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+    .flatMap((message) => parseStructuredContent(message.content).images.map(stripTrackingParams))
+    .filter((url) => /^https?:\/\//i.test(url) && !seen.has(url) && seen.add(url))
+    .map((url) => ({ url, alt: describeImageUrl(url) }));
+}
+
+function renderGallery() {
+  if (!elements.imageGallery) return;
+  const images = collectSessionImages();
+  if (elements.galleryCount) {
+    elements.galleryCount.textContent = String(images.length);
+  }
+  if (!images.length) {
+    const empty = document.createElement('p');
+    empty.className = 'panel-help';
+    empty.textContent = 'No images yet.';
+    elements.imageGallery.replaceChildren(empty);
+    return;
+  }
+  elements.imageGallery.replaceChildren(
+    ...images.map(({ url, alt }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.imageUrl = url;
+      button.title = alt;
+      if (!canLoadImage(url)) {
+        button.classList.add('is-blocked');
+        button.textContent = getUrlHost(url);
+        button.title = `${alt} (click to load from ${getUrlHost(url)})`;
+        return button;
+      }
+      const thumbnail = document.createElement('img');
+      thumbnail.src = url;
+      thumbnail.alt = alt;
+      thumbnail.loading = 'lazy';
+      button.appendChild(thumbnail);
+      return button;
+    })
+  );
+}
+
+function handleGalleryClick(event) {
+  const button = event.target.closest('[data-image-url]');
+  if (!button) return;
+  const url = button.dataset.imageUrl;
+  if (!isImageAllowedByPage(url)) {
+    showToast(`Images from ${getUrlHost(url)} are blocked by this site's security policy.`, 'error');
+    return;
+  }
+  if (!canLoadImage(url)) {
+    loadedImageUrls.add(url);
+    rerenderChatInPlace();
+  }
+  openLightbox(url);
+}
+
+let lightboxImages = [];
+let lightboxIndex = 0;
+let lightboxZoom = 1;
+
+function openLightbox(url) {
+  if (!elements.lightbox) return;
+  lightboxImages = collectSessionImages().filter((image) => canLoadImage(image.url));
+  lightboxIndex = lightboxImages.findIndex((image) => image.url === url);
+  if (lightboxIndex < 0) {
+    lightboxImages = [{ url, alt: describeImageUrl(url) }];
+    lightboxIndex = 0;
+  }
+  elements.lightbox.hidden = false;
+  showLightboxImage();
+  elements.lightbox.querySelector('[data-lightbox="close"]')?.focus();
+}
+
+function closeLightbox() {
+  if (!elements.lightbox || elements.lightbox.hidden) return;
+  elements.lightbox.hidden = true;
+  elements.lightboxImage.removeAttribute('src');
+}
+
+function showLightboxImage() {
+  const image = lightboxImages[lightboxIndex];
+  if (!image) return;
+  elements.lightboxImage.src = image.url;
+  elements.lightboxImage.alt = image.alt;
+  elements.lightboxCaption.textContent = image.alt;
+  elements.lightboxCounter.textContent = `${lightboxIndex + 1} of ${lightboxImages.length}`;
+  setLightboxZoom(1);
+}
+
+function setLightboxZoom(zoom) {
+  lightboxZoom = Math.min(Math.max(zoom, LIGHTBOX_ZOOM_LIMITS.min), LIGHTBOX_ZOOM_LIMITS.max);
+  elements.lightboxImage.style.transform = `scale(${lightboxZoom})`;
+  elements.lightboxZoom.textContent = `${Math.round(lightboxZoom * 100)}%`;
+}
+
+function stepLightbox(offset) {
+  if (lightboxImages.length < 2) return;
+  lightboxIndex = (lightboxIndex + offset + lightboxImages.length) % lightboxImages.length;
+  showLightboxImage();
+}
+
+function handleLightboxClick(event) {
+  if (event.target === elements.lightbox || event.target === elements.lightboxStage) {
+    closeLightbox();
+    return;
+  }
+  const control = event.target.closest('[data-lightbox]');
+  if (!control) return;
+  const url = lightboxImages[lightboxIndex]?.url;
+  const { lightbox: action } = control.dataset;
+  if (action === 'close') closeLightbox();
+  else if (action === 'prev') stepLightbox(-1);
+  else if (action === 'next') stepLightbox(1);
+  else if (action === 'zoom-in') setLightboxZoom(lightboxZoom + LIGHTBOX_ZOOM_STEP);
+  else if (action === 'zoom-out') setLightboxZoom(lightboxZoom - LIGHTBOX_ZOOM_STEP);
+  else if (action === 'zoom-reset') setLightboxZoom(1);
+  else if (action === 'download') downloadImage(url);
+  else if (action === 'copy') copyImageUrl(url);
+}
+
+function handleLightboxWheel(event) {
+  if (!event.ctrlKey && !event.metaKey) return;
+  event.preventDefault();
+  setLightboxZoom(lightboxZoom + (event.deltaY < 0 ? LIGHTBOX_ZOOM_STEP : -LIGHTBOX_ZOOM_STEP));
+}
+
+function handleLightboxKeydown(event) {
+  if (!elements.lightbox || elements.lightbox.hidden) return;
+  if (event.key === 'Escape') closeLightbox();
+  else if (event.key === 'ArrowLeft') stepLightbox(-1);
+  else if (event.key === 'ArrowRight') stepLightbox(1);
+  else if (event.key === '+' || event.key === '=') setLightboxZoom(lightboxZoom + LIGHTBOX_ZOOM_STEP);
+  else if (event.key === '-') setLightboxZoom(lightboxZoom - LIGHTBOX_ZOOM_STEP);
+}
+
+async function downloadImage(url) {
+  if (!url) return;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw createResponseError(response);
+    const blob = await response.blob();
+    const extension = blob.type === 'image/png' ? 'png' : 'jpg';
+    downloadFile(buildExportFilename(describeImageUrl(url), extension), blob, blob.type);
+  } catch (error) {
+    console.warn('Unable to download image, opening it instead', error);
+    window.open(url, '_blank', 'noopener');
+  }
+}
+
+async function copyImageUrl(url) {
+  if (!url) return;
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast('Image URL copied.', 'success');
+  } catch (error) {
+    console.warn('Unable to copy image URL', error);
+    window.prompt('Copy the image URL:', url);
+  }
+}
+
+function normalizeImageOptions(options) {
+  const size = (value, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) && number > 0
+      ? Math.min(Math.max(number, IMAGE_SIZE_LIMITS.min), IMAGE_SIZE_LIMITS.max)
+      : fallback;
+  };
+  const seed = String(options?.seed ?? '').trim();
+  return {
+    width: size(options?.width, DEFAULT_IMAGE_OPTIONS.width),
+    height: size(options?.height, DEFAULT_IMAGE_OPTIONS.height),
+    model: IMAGE_MODELS.includes(options?.model) ? options.model : DEFAULT_IMAGE_OPTIONS.model,
+    seed: /^\d{1,10}$/.test(seed) ? seed : '',
+    enhance: Boolean(options?.enhance),
+    nologo: Boolean(options?.nologo)
+  };
+}
+
+function renderImageOptions() {
+  if (!elements.imageForm) return;
+  elements.imageWidth.value = String(state.imageOptions.width);
+  elements.imageHeight.value = String(state.imageOptions.height);
+  elements.imageModel.value = state.imageOptions.model;
+  elements.imageSeed.value = state.imageOptions.seed;
+  elements.imageEnhance.checked = state.imageOptions.enhance;
+  elements.imageNologo.checked = state.imageOptions.nologo;
+}
+
+function handleImageOptionsChange(event) {
+  if (event.target === elements.imagePrompt) return;
+  state.imageOptions = normalizeImageOptions({
+    width: elements.imageWidth.value,
+    height: elements.imageHeight.value,
+    model: elements.imageModel.value,
+    seed: elements.imageSeed.value,
+    enhance: elements.imageEnhance.checked,
+    nologo: elements.imageNologo.checked
+  });
+  renderImageOptions();
+  persistState();
+}
+
+function handleImageFormSubmit(event) {
+  event.preventDefault();
+  const prompt = elements.imagePrompt.value.trim();
+  if (!prompt) {
+    showToast('Describe the image you want first.', 'info');
+    elements.imagePrompt.focus();
+    return;
+  }
+  if (generateImage(prompt)) {
+    elements.imagePrompt.value = '';
+  }
+}
+
+function isImageCommand(text) {
+  const lower = text.toLowerCase();
+  return lower === IMAGE_COMMAND || lower.startsWith(`${IMAGE_COMMAND} `);
+}
+
+function getMessageImageUrl(message) {
+  return parseStructuredContent(message.content).images[0] || '';
+}
+
+// Images are drawn by the browser loading the URL, so no request state is needed here.
+function appendImageReply(image) {
+  const options = { ...image, seed: String(image.seed || generateSeed()) };
+  const message = {
+    id: createId(),
+    role: 'assistant',
+    content: `[IMAGE]${buildImageUrl(options.prompt, options)}[/IMAGE]`,
+    model: options.model,
+    seed: options.seed,
+    image: options,
+    timestamp: new Date().toISOString()
+  };
+  appendToActivePath(message);
+  appendChatMessage(message);
+  renderGallery();
+  persistState();
+  return message;
+}
+
+function generateImage(prompt) {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before generating an image.', 'error');
+    return false;
+  }
+
+  const userMessage = {
+    id: createId(),
+    role: 'user',
+    content: `${IMAGE_COMMAND} ${prompt}`,
+    timestamp: new Date().toISOString()
+  };
+  appendToActivePath(userMessage);
+  appendChatMessage(userMessage);
+  appendImageReply({ ...state.imageOptions, prompt });
+  return true;
+}
+
+// Kontext redraws the existing picture from the same prompt, so the result stays close to the original.
+function createImageVariant(message) {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before making a variant.', 'error');
+    return;
+  }
+  const index = state.history.indexOf(message);
+  if (index < 1 || !message.image) return;
+
+  const source = getMessageImageUrl(message);
+  stopSpeechPlayback();
+  state.history = state.history.slice(0, index);
+  renderChat();
+  appendImageReply({ ...message.image, model: 'kontext', image: source, seed: generateSeed() });
+}
+
+async function sendMessage(event) {
+  event.preventDefault();
+  const userInput = elements.messageInput.value.trim();
+  if (!userInput && !state.pendingAttachments.length) return;
+  if (isImageCommand(userInput)) {
+    const prompt = userInput.slice(IMAGE_COMMAND.length).trim();
+    if (!prompt) {
+      showToast(`Add a prompt after ${IMAGE_COMMAND}.`, 'info');
+      return;
     }
-    return '';
-  });
+    if (state.pendingAttachments.length) {
+      showToast(`${IMAGE_COMMAND} cannot use attached images. Remove them or send them as a message.`, 'error');
+      return;
+    }
+    if (!generateImage(prompt)) return;
+    elements.messageInput.value = '';
+    updateCharCounter();
+    autoResizeTextarea();
+    return;
+  }
+  if (!canPostMessage()) return;
 
-  const imagePattern = /\[IMAGE\]([\s\S]*?)\[\/IMAGE\]/gi;
-  workingContent.text = workingContent.text.replace(imagePattern, (_, url) => {
-    if (url) {
-      workingContent.images.push(url.trim());
+  elements.messageInput.value = '';
+  updateCharCounter();
+  autoResizeTextarea();
+
+  await postUserMessage(userInput);
+}
+
+async function postUserMessage(content) {
+  const userMessage = {
+    id: createId(),
+    role: 'user',
+    content,
+    timestamp: new Date().toISOString()
+  };
+  if (state.pendingAttachments.length) {
+    userMessage.attachments = state.pendingAttachments;
+    state.pendingAttachments = [];
+    renderAttachmentTray();
+  }
+
+  appendToActivePath(userMessage);
+  appendChatMessage(userMessage);
+  persistState();
+
+  await requestAssistantReply();
+}
+
+async function regenerateReply(message) {
+  if (state.isSending) {
+    showToast('Wait for the current reply or stop it before regenerating.', 'error');
+    return;
+  }
+  if (!ensureModelSelected()) return;
+
+  const index = state.history.indexOf(message);
+  if (index < 1) return;
+
+  stopSpeechPlayback();
+  state.history = state.history.slice(0, index);
+  renderChat();
+  if (message.image) {
+    appendImageReply({ ...message.image, seed: generateSeed() });
+    return;
+  }
+  await requestAssistantReply();
+}
+
+async function editAndResend(message, content) {
+  const trimmed = String(content || '').trim();
+  const attachments = message.attachments || [];
+  if (!trimmed && !attachments.length) return;
+  if (!canPostMessage(attachments)) return;
+
+  const index = state.history.indexOf(message);
+  if (index < 0) return;
+
+  stopSpeechPlayback();
+  state.history = state.history.slice(0, index);
+  const edited = {
+    id: createId(),
+    role: 'user',
+    content: trimmed,
+    timestamp: new Date().toISOString()
+  };
+  if (attachments.length) {
+    edited.attachments = attachments;
+  }
+  appendToActivePath(edited);
+  renderChat();
+  persistState();
+  if (isImageCommand(trimmed) && trimmed.length > IMAGE_COMMAND.length) {
+    appendImageReply({ ...state.imageOptions, prompt: trimmed.slice(IMAGE_COMMAND.length).trim() });
+    return;
+  }
+  await requestAssistantReply();
+}
+
+async function requestAssistantReply() {
+  cancelBackgroundSummary();
+  const controller = new AbortController();
+  activeRequestController = controller;
+  state.isSending = true;
+  updateComposerAvailability();
+  setConnectionStatus('Contacting Pollinations…', 'busy');
+
+  const generation = getGenerationSettings();
+  const seed = generation.seedLocked && generation.seed ? generation.seed : generateSeed();
+  const memories = selectPromptMemories();
+  let streamingRow = null;
+  let partialContent = '';
+
+  try {
+    let assistantContent = '';
+    let answeringModel = state.selectedModel;
+
+    for (let round = 0; ; round += 1) {
+      const payload = buildPayload({ stream: state.streamingEnabled, tools: round < MAX_TOOL_ROUNDS, memories });
+      const result = await requestCompletion(payload, { signal: controller.signal, seed });
+      answeringModel = result.model;
+
+      let toolCalls = [];
+      if (payload.stream && isEventStream(result.response)) {
+        streamingRow = createStreamingMessage();
+        setConnectionStatus('Receiving reply…', 'busy');
+        ({ content: assistantContent, toolCalls } = await readEventStream(result.response, (text) => {
+          partialContent = text;
+          updateStreamingMessage(streamingRow, text);
+        }));
+      } else {
+        const data = await result.response.json();
+        assistantContent = extractAssistantContent(data);
+        toolCalls = extractToolCalls(data);
+      }
+
+      if (!toolCalls.length) break;
+
+      await runToolRound({ content: assistantContent, toolCalls, model: answeringModel, row: streamingRow });
+      streamingRow = null;
+      partialContent = '';
+      setConnectionStatus('Contacting Pollinations…', 'busy');
     }
-    return '';
+
+    const assistantMessage = {
+      id: createId(),
+      role: 'assistant',
+      content: assistantContent || 'The assistant returned an empty response.',
+      model: answeringModel,
+      seed,
+      timestamp: new Date().toISOString()
+    };
+    const generationParams = buildGenerationParams(generation);
+    if (Object.keys(generationParams).length || generation.seedLocked) {
+      assistantMessage.generation = { ...generationParams, ...(generation.seedLocked ? { seedLocked: true } : {}) };
+    }
+    if (state.memoryEnabled) {
+      assistantMessage.memoryIds = memories.map((memory) => memory.id);
+    }
+    if (answeringModel !== state.selectedModel) {
+      assistantMessage.failover = true;
+    }
+
+    // Memories are proposed before the reply is drawn so its bubble can show what happened to each one.
+    const parsed = parseStructuredContent(assistantMessage.content);
+    const memoryOutcome =
+      state.memoryEnabled && parsed.memories.length ? proposeMemories(parsed.memories, assistantMessage.id) : null;
+    if (parsed.memories.length) {
+      assistantMessage.memoryStatus = memoryOutcome
+        ? parsed.memories.map((text, index) => memoryOutcome.statuses[index] || null)
+        : parsed.memories.map(() => 'off');
+    }
+
+    appendToActivePath(assistantMessage);
+    if (streamingRow) {
+      replaceChatMessage(streamingRow, assistantMessage);
+    } else {
+      appendChatMessage(assistantMessage);
+    }
+    if (parsed.images.length) {
+      renderGallery();
+    }
+    renderMemoryUsage();
+    updateContextMeter();
+    maybeUpdateSummary();
+
+    persistState();
+    if (state.speechMode === 'auto') {
+      enqueueSpeech(assistantMessage);
+    }
+    showToast(describeReplyOutcome(assistantMessage, answeringModel, memoryOutcome), 'success');
+    setConnectionStatus('Idle', 'idle');
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const stoppedMessage = {
+        id: createId(),
+        role: 'assistant',
+        content: partialContent,
+        status: 'stopped',
+        timestamp: new Date().toISOString()
+      };
+
+      appendToActivePath(stoppedMessage);
+      if (streamingRow) {
+        replaceChatMessage(streamingRow, stoppedMessage);
+      } else {
+        appendChatMessage(stoppedMessage);
+      }
+      persistState();
+      showToast(partialContent ? 'Reply stopped. Partial text kept.' : 'Reply stopped.', 'info');
+      setConnectionStatus('Stopped', 'idle');
+      return;
+    }
+
+    console.error(error);
+    streamingRow?.remove();
+    showToast('Unable to reach Pollinations. Please try again.', 'error');
+    setConnectionStatus('Error', 'error');
+
+    const errorMessage = {
+      id: createId(),
+      role: 'assistant',
+      content: 'I could not reach the Pollinations API just now. Please retry in a moment.',
+      timestamp: new Date().toISOString()
+    };
+
+    appendToActivePath(errorMessage);
+    appendChatMessage(errorMessage);
+    persistState();
+  } finally {
+    if (activeRequestController === controller) {
+      activeRequestController = null;
+    }
+    state.isSending = false;
+    updateComposerAvailability();
+    if (elements.messageInput) {
+      elements.messageInput.focus({ preventScroll: true });
+    }
+  }
+}
+
+function modelSupportsTools(modelId = state.selectedModel) {
+  const model = state.availableModels.find((entry) => entry.id === modelId);
+  return model?.supportsTools === true;
+}
+
+function modelAcceptsImages(modelId = state.selectedModel) {
+  const model = state.availableModels.find((entry) => entry.id === modelId);
+  return Boolean(model?.inputModalities?.includes('image'));
+}
+
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name || 'That file'} could not be read as an image.`));
+    };
+    image.src = url;
   });
+}
 
-  const codePattern = /\[CODE\]([\s\S]*?)\[\/CODE\]/gi;
-  workingContent.text = workingContent.text.replace(codePattern, (_, codeBody) => {
-    if (!codeBody) return '';
-    const tripleMatch = codeBody.match(/```(\w+)?\n([\s\S]*?)```/);
-    if (tripleMatch) {
-      const [, language = '', rawCode = ''] = tripleMatch;
-      workingContent.codeBlocks.push({
-        language: language.trim().toLowerCase(),
-        code: rawCode.trim()
+async function createImageAttachment(file) {
+  const image = await loadImageFile(file);
+  const scale = Math.min(1, MAX_ATTACHMENT_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.max(1, Math.round(image.naturalWidth * scale));
+  const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no alpha channel, so paint a white backdrop for transparent PNGs.
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+
+  return {
+    id: createId(),
+    type: 'image',
+    name: file.name || 'pasted-image',
+    width,
+    height,
+    dataUrl: canvas.toDataURL('image/jpeg', ATTACHMENT_QUALITY)
+  };
+}
+
+async function addAttachments(files) {
+  const images = Array.from(files || []).filter((file) => file.type?.startsWith('image/'));
+  if (!images.length) return;
+
+  if (!modelAcceptsImages()) {
+    showToast(`${state.selectedModel || 'This model'} cannot read images. Pick a vision model first.`, 'error');
+    return;
+  }
+
+  const room = MAX_ATTACHMENTS - state.pendingAttachments.length;
+  if (room <= 0) {
+    showToast(`You can attach up to ${MAX_ATTACHMENTS} images per message.`, 'error');
+    return;
+  }
+  if (images.length > room) {
+    showToast(`Only the first ${room} image${room === 1 ? '' : 's'} were attached.`, 'info');
+  }
+
+  for (const file of images.slice(0, room)) {
+    try {
+      state.pendingAttachments.push(await createImageAttachment(file));
+    } catch (error) {
+      console.warn('Unable to attach image', error);
+      showToast(error.message, 'error');
+    }
+  }
+  renderAttachmentTray();
+}
+
+function removeAttachment(attachmentId) {
+  state.pendingAttachments = state.pendingAttachments.filter((attachment) => attachment.id !== attachmentId);
+  renderAttachmentTray();
+}
+
+function renderAttachmentTray() {
+  const tray = elements.attachmentTray;
+  if (!tray) return;
+  tray.replaceChildren(
+    ...state.pendingAttachments.map((attachment) => {
+      const chip = document.createElement('div');
+      chip.className = 'attachment-chip';
+      const image = document.createElement('img');
+      image.src = attachment.dataUrl;
+      image.alt = attachment.name;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.attachmentId = attachment.id;
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${attachment.name}`);
+      chip.append(image, remove);
+      return chip;
+    })
+  );
+  tray.hidden = !state.pendingAttachments.length;
+}
+
+function handleAttachmentTrayClick(event) {
+  const button = event.target.closest('button[data-attachment-id]');
+  if (button) {
+    removeAttachment(button.dataset.attachmentId);
+  }
+}
+
+function handleAttachmentInput(event) {
+  const input = event.target;
+  addAttachments(input.files);
+  input.value = '';
+}
+
+function handleComposerPaste(event) {
+  const files = Array.from(event.clipboardData?.files || []);
+  if (files.some((file) => file.type?.startsWith('image/'))) {
+    event.preventDefault();
+    addAttachments(files);
+  }
+}
+
+function handleComposerDragOver(event) {
+  if (!Array.from(event.dataTransfer?.types || []).includes('Files')) return;
+  event.preventDefault();
+  elements.composer.classList.add('drag-active');
+}
+
+function handleComposerDragLeave(event) {
+  if (!elements.composer.contains(event.relatedTarget)) {
+    elements.composer.classList.remove('drag-active');
+  }
+}
+
+function handleComposerDrop(event) {
+  if (!event.dataTransfer?.files?.length) return;
+  event.preventDefault();
+  elements.composer.classList.remove('drag-active');
+  const files = Array.from(event.dataTransfer.files);
+  const audio = files.find((file) => file.type?.startsWith('audio/') || detectAudioFormat(file));
+  if (audio) {
+    handleAudioFile(audio);
+  }
+  addAttachments(files.filter((file) => file !== audio));
+}
+
+function stopActiveRequest() {
+  cancelBackgroundSummary();
+  if (!activeRequestController || activeRequestController.signal.aborted) return;
+  activeRequestController.abort();
+  setConnectionStatus('Stopping…', 'busy');
+}
+
+function normalizeDictationSilence(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return DEFAULT_DICTATION_SILENCE;
+  }
+  return Math.min(seconds, MAX_DICTATION_SILENCE);
+}
+
+function getSpeechRecognitionConstructor() {
+  if (typeof window === 'undefined') return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+// Lets tests supply a fake recognizer; pass null to fall back to the browser implementation.
+function setSpeechRecognitionFactory(factory) {
+  speechRecognitionFactory = typeof factory === 'function' ? factory : null;
+  updateMicAvailability();
+}
+
+function isRecordingSupported() {
+  return typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+function usesRecordedDictation() {
+  return !speechRecognitionFactory && !getSpeechRecognitionConstructor() && isRecordingSupported();
+}
+
+function isDictationSupported() {
+  return Boolean(speechRecognitionFactory || getSpeechRecognitionConstructor() || isRecordingSupported());
+}
+
+function createSpeechRecognizer() {
+  if (speechRecognitionFactory) {
+    return speechRecognitionFactory();
+  }
+  const Recognition = getSpeechRecognitionConstructor();
+  if (Recognition) {
+    return new Recognition();
+  }
+  return isRecordingSupported() ? createRecordingRecognizer() : null;
+}
+
+// Mimics the SpeechRecognition surface with MediaRecorder so browsers without it
+// can still dictate: the clip is transcribed by Pollinations once recording stops.
+function createRecordingRecognizer() {
+  const recognizer = {
+    lang: '',
+    continuous: false,
+    interimResults: false,
+    maxAlternatives: 1,
+    onresult: null,
+    onerror: null,
+    onend: null
+  };
+  const chunks = [];
+  let stream = null;
+  let recorder = null;
+  let stopRequested = false;
+
+  const releaseStream = () => stream?.getTracks().forEach((track) => track.stop());
+
+  const finishRecording = async () => {
+    releaseStream();
+    const clip = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+    if (clip.size) {
+      setTranscriptionStatus(true);
+      try {
+        const transcript = await transcribeAudio(clip);
+        const result = [{ transcript }];
+        result.isFinal = true;
+        recognizer.onresult?.({ resultIndex: 0, results: [result] });
+        setTranscriptionStatus(false);
+      } catch (error) {
+        console.warn('Unable to transcribe recording', error);
+        setTranscriptionStatus(false, error);
+        recognizer.onerror?.({ error: 'network' });
+      }
+    }
+    recognizer.onend?.();
+  };
+
+  recognizer.start = () => {
+    stopRequested = false;
+    navigator.mediaDevices
+      .getUserMedia({ audio: true })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (stopRequested) {
+          releaseStream();
+          recognizer.onend?.();
+          return;
+        }
+        recorder = new MediaRecorder(stream);
+        recorder.ondataavailable = (event) => {
+          if (event.data?.size) chunks.push(event.data);
+        };
+        recorder.onstop = finishRecording;
+        recorder.start();
+      })
+      .catch((error) => {
+        recognizer.onerror?.({ error: error?.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture' });
+        recognizer.onend?.();
       });
+  };
+
+  recognizer.stop = () => {
+    stopRequested = true;
+    if (recorder?.state === 'recording') {
+      recorder.stop();
+    }
+  };
+  recognizer.abort = recognizer.stop;
+
+  return recognizer;
+}
+
+function updateMicAvailability() {
+  if (!elements.micButton) return;
+  const supported = isDictationSupported();
+  elements.micButton.disabled = !supported;
+  elements.micButton.setAttribute('aria-pressed', dictation.active ? 'true' : 'false');
+  elements.micButton.classList.toggle('listening', dictation.active);
+
+  if (!supported) {
+    elements.micButton.title = 'Voice input is not supported in this browser.';
+  } else if (usesRecordedDictation()) {
+    if (state.dictationMode === 'handsfree') {
+      elements.micButton.title = dictation.active ? 'Stop recording and transcribe' : 'Start recording';
     } else {
-      workingContent.codeBlocks.push({ language: '', code: codeBody.trim() });
+      elements.micButton.title = 'Hold to record; the clip is transcribed when you let go';
     }
-    return '';
-  });
+  } else if (state.dictationMode === 'handsfree') {
+    elements.micButton.title = dictation.active ? 'Stop hands-free dictation' : 'Start hands-free dictation';
+  } else {
+    elements.micButton.title = 'Hold to talk';
+  }
+}
 
-  workingContent.text = workingContent.text.trim();
-  return workingContent;
+function writeDictationText(interim = '') {
+  if (!elements.messageInput) return;
+  elements.messageInput.value = [dictation.baseText, dictation.finalText.trim(), interim.trim()]
+    .filter(Boolean)
+    .join(' ');
+  updateCharCounter();
+  autoResizeTextarea();
 }
 
-function appendChatMessage(message) {
-  if (!elements.chatLog) return;
-  const placeholder = elements.chatLog.querySelector('.chat-empty');
-  if (placeholder) {
-    placeholder.remove();
+function clearDictationTimer() {
+  if (dictation.silenceTimer) {
+    window.clearTimeout(dictation.silenceTimer);
+    dictation.silenceTimer = null;
   }
-  const row = document.createElement('div');
-  row.className = `chat-message ${message.role}`;
+}
 
-  const avatar = createAvatar(message.role);
-  const bubble = document.createElement('div');
-  bubble.className = 'chat-bubble';
+function scheduleDictationSubmit() {
+  clearDictationTimer();
+  if (!state.dictationSilence || !elements.messageInput?.value.trim()) return;
+  dictation.silenceTimer = window.setTimeout(submitDictation, state.dictationSilence * 1000);
+}
 
-  const content = parseStructuredContent(message.content);
+function runDictatedCommand() {
+  const utterance = dictation.finalText.trim();
+  if (!state.voiceCommandsEnabled || !utterance) return false;
 
-  if (content.text) {
-    const textWrapper = document.createElement('div');
-    textWrapper.className = 'chat-text';
-    textWrapper.innerHTML = formatters.markdown(content.text);
-    bubble.appendChild(textWrapper);
+  const command = parseVoiceCommand(utterance);
+  if (!command) return false;
+
+  dictation.finalText = '';
+  writeDictationText();
+  executeVoiceCommand(command);
+  return true;
+}
+
+function submitDictation() {
+  clearDictationTimer();
+  if (runDictatedCommand()) return;
+  if (!elements.messageInput?.value.trim()) return;
+  if (state.isSending) {
+    scheduleDictationSubmit();
+    return;
+  }
+
+  if (dictation.active && !dictation.handsFree) {
+    stopDictation();
+  }
+
+  elements.composer.requestSubmit();
+  dictation.baseText = elements.messageInput.value.trim();
+  dictation.finalText = '';
+}
+
+function handleDictationResult(event) {
+  let interim = '';
+  for (let index = event.resultIndex; index < event.results.length; index += 1) {
+    const result = event.results[index];
+    const transcript = result[0]?.transcript || '';
+    if (result.isFinal) {
+      dictation.finalText += ` ${transcript}`;
+    } else {
+      interim += transcript;
+    }
   }
+  writeDictationText(interim);
+  scheduleDictationSubmit();
+}
 
-  content.images.forEach((url) => {
-    if (!/^https?:\/\//i.test(url)) return;
-    const image = document.createElement('img');
-    image.src = url;
-    image.alt = 'AI generated illustration';
-    bubble.appendChild(image);
-  });
+function handleDictationError(event) {
+  if (event.error === 'no-speech' || event.error === 'aborted') return;
 
-  content.codeBlocks.forEach(({ language, code }) => {
-    const pre = document.createElement('pre');
-    const codeEl = document.createElement('code');
-    if (language) {
-      codeEl.className = `language-${language}`;
-    }
-    codeEl.textContent = code;
-    pre.appendChild(codeEl);
-    bubble.appendChild(pre);
-    if (typeof Prism !== 'undefined' && typeof Prism.highlightElement === 'function') {
-      Prism.highlightElement(codeEl);
+  dictation.stopRequested = true;
+  const message =
+    event.error === 'not-allowed' || event.error === 'service-not-allowed'
+      ? 'Microphone access was blocked. Allow it in your browser to dictate.'
+      : 'Voice input stopped unexpectedly.';
+  showToast(message, 'error');
+}
+
+function handleDictationEnd() {
+  if (dictation.handsFree && !dictation.stopRequested) {
+    try {
+      dictation.recognition.start();
+      return;
+    } catch (error) {
+      console.warn('Unable to resume hands-free dictation', error);
     }
-  });
+  }
 
-  if (content.memories.length) {
-    const memoryWrapper = document.createElement('div');
-    memoryWrapper.className = 'chat-meta';
-    memoryWrapper.textContent = `Stored memories: ${content.memories.join(' | ')}`;
-    bubble.appendChild(memoryWrapper);
+  const { released } = dictation;
+  dictation.active = false;
+  dictation.recognition = null;
+  writeDictationText();
+  updateMicAvailability();
+
+  if (released && !runDictatedCommand() && state.dictationSilence > 0) {
+    submitDictation();
   }
+}
 
-  const meta = document.createElement('div');
-  meta.className = 'chat-meta';
-  meta.textContent = formatTimestamp(message.timestamp);
-  bubble.appendChild(meta);
+function startDictation() {
+  if (dictation.active) return;
 
-  if (message.role === 'assistant') {
-    row.appendChild(avatar);
-    row.appendChild(bubble);
-  } else {
-    row.appendChild(bubble);
-    row.appendChild(avatar);
+  let recognition = null;
+  try {
+    recognition = createSpeechRecognizer();
+  } catch (error) {
+    console.warn('Unable to create speech recognizer', error);
+  }
+  if (!recognition) {
+    showToast('Voice input is not supported in this browser.', 'error');
+    updateMicAvailability();
+    return;
   }
 
-  elements.chatLog.appendChild(row);
-  elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+  const handsFree = state.dictationMode === 'handsfree';
+  recognition.lang = navigator.language || 'en-US';
+  recognition.interimResults = true;
+  recognition.continuous = handsFree;
+  recognition.maxAlternatives = 1;
+  recognition.onresult = handleDictationResult;
+  recognition.onerror = handleDictationError;
+  recognition.onend = handleDictationEnd;
+
+  Object.assign(dictation, {
+    recognition,
+    active: true,
+    handsFree,
+    stopRequested: false,
+    released: false,
+    baseText: elements.messageInput?.value.trim() || '',
+    finalText: ''
+  });
+
+  try {
+    recognition.start();
+  } catch (error) {
+    console.warn('Unable to start speech recognition', error);
+    dictation.active = false;
+    dictation.recognition = null;
+    showToast('Voice input could not start.', 'error');
+  }
+  updateMicAvailability();
 }
 
-function renderChat() {
-  if (!elements.chatLog) return;
-  elements.chatLog.innerHTML = '';
-  if (!state.history.length) {
-    return;
+function stopDictation({ release = false } = {}) {
+  if (!dictation.active || !dictation.recognition) return;
+  clearDictationTimer();
+  dictation.stopRequested = true;
+  dictation.released = release;
+  try {
+    dictation.recognition.stop();
+  } catch (error) {
+    console.warn('Unable to stop speech recognition', error);
   }
-  state.history.forEach((message) => appendChatMessage(message));
 }
 
-function updateCharCounter() {
-  if (!elements.charCounter || !elements.messageInput) return;
-  const length = elements.messageInput.value.trim().length;
-  elements.charCounter.textContent = `${length} character${length === 1 ? '' : 's'}`;
+function handleMicPress(event) {
+  if (state.dictationMode !== 'push' || event.button > 0) return;
+  event.preventDefault();
+  startDictation();
 }
 
-function autoResizeTextarea() {
-  if (!elements.messageInput) return;
-  elements.messageInput.style.height = 'auto';
-  elements.messageInput.style.height = `${elements.messageInput.scrollHeight}px`;
+function handleMicRelease() {
+  if (state.dictationMode !== 'push' || !dictation.active) return;
+  stopDictation({ release: true });
 }
 
-function handleThemeChange(event) {
-  const themeId = event.target.value;
-  if (!themeId) return;
-  applyTheme(themeId);
-  const theme = findThemeById(themeId);
-  if (theme) {
-    showToast(`Theme set to ${theme.label}.`, 'info', 2200);
+function handleMicClick() {
+  if (state.dictationMode !== 'handsfree') return;
+  if (dictation.active) {
+    stopDictation();
+  } else {
+    startDictation();
   }
 }
 
-function handleModelChange(event) {
-  state.selectedModel = event.target.value?.trim?.() || '';
-  updateSessionSnapshot();
-  persistState();
+function handleMicKeydown(event) {
+  if (state.dictationMode !== 'push' || (event.key !== ' ' && event.key !== 'Enter')) return;
+  event.preventDefault();
+  if (!event.repeat) {
+    startDictation();
+  }
 }
 
-function handleVoiceChange(event) {
-  state.selectedVoice = event.target.value?.trim?.() || '';
-  updateSessionSnapshot();
-  persistState();
+function handleMicKeyup(event) {
+  if (event.key !== ' ' && event.key !== 'Enter') return;
+  handleMicRelease();
 }
 
-function handleMemoryToggle(event) {
-  state.memoryEnabled = Boolean(event.target.checked);
+function handleDictationModeChange(event) {
+  const mode = event.target.value;
+  if (!DICTATION_MODES.includes(mode)) return;
+  if (dictation.active) {
+    stopDictation();
+  }
+  state.dictationMode = mode;
   persistState();
-  showToast(state.memoryEnabled ? 'Memories will be recorded.' : 'Memory sync paused.', 'info');
+  updateMicAvailability();
+  showToast(mode === 'handsfree' ? 'Tap the mic to dictate hands-free.' : 'Hold the mic to talk.', 'info');
 }
 
-function clearMemories() {
-  state.memories = [];
-  renderMemories();
+function handleTranscriptTargetChange(event) {
+  const target = event.target.value;
+  if (!TRANSCRIPT_TARGETS.includes(target)) return;
+  state.transcriptTarget = target;
   persistState();
-  showToast('All memories cleared.', 'info');
 }
 
-function resetChat() {
-  state.history = [];
-  renderChat();
-  persistState();
-  showToast('Conversation reset.', 'info');
+function readBlobAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
 }
 
-function buildSystemPrompt() {
-  const theme = findThemeById(state.selectedTheme);
-  const themeLabel = theme?.label || 'Daylight';
-  const memoryBlock = state.memories.slice(-10).map((memory) => `[memory]${memory}[/memory]`).join('\n');
-  const memoryCopy = state.memories.slice(-10).map((memory, index) => `${index + 1}. ${memory}`).join('\n');
+function detectAudioFormat(blob) {
+  const type = (blob.type || '').toLowerCase();
+  const name = (blob.name || '').toLowerCase();
+  if (type.includes('wav') || name.endsWith('.wav')) return 'wav';
+  if (type === 'audio/mpeg' || type === 'audio/mp3' || name.endsWith('.mp3')) return 'mp3';
+  return '';
+}
 
-  return [
-    state.aiInstruct,
-    '---',
-    'Session parameters:',
-    `- Active theme: ${themeLabel}`,
-    `- Preferred voice: ${state.selectedVoice}`,
-    `- Selected model: ${state.selectedModel}`,
-    state.memoryEnabled && memoryBlock
-      ? `Memories provided by the workspace (with plain copies):\n${memoryBlock}\nPlain list:\n${memoryCopy}`
-      : 'No memories are currently shared for this session.',
-    'Always include any generated code between [CODE] markers with fenced language blocks, image URLs between [IMAGE] markers, ' +
-      'and new long-term memories between [memory] markers as described.'
-  ]
-    .filter(Boolean)
-    .join('\n');
+function encodeWav(samples, sampleRate) {
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const writeText = (offset, text) => {
+    for (let index = 0; index < text.length; index += 1) {
+      view.setUint8(offset + index, text.charCodeAt(index));
+    }
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  samples.forEach((sample, index) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(44 + index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+  });
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+// The endpoint only accepts wav and mp3, so recorder output (webm, ogg, mp4) is
+// decoded and re-encoded as 16 kHz mono PCM.
+async function convertToWav(blob) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('This browser cannot convert audio for transcription.');
+  }
+
+  const decoded = await new OfflineContext(1, 1, TRANSCRIPTION_SAMPLE_RATE).decodeAudioData(await blob.arrayBuffer());
+  const length = Math.max(1, Math.ceil(decoded.duration * TRANSCRIPTION_SAMPLE_RATE));
+  const context = new OfflineContext(1, length, TRANSCRIPTION_SAMPLE_RATE);
+  const source = context.createBufferSource();
+  source.buffer = decoded;
+  source.connect(context.destination);
+  source.start();
+  const rendered = await context.startRendering();
+  return encodeWav(rendered.getChannelData(0), TRANSCRIPTION_SAMPLE_RATE);
 }
 
-function buildPayload() {
-  const historySlice = state.history.slice(-10).map(({ role, content }) => ({ role, content }));
+async function transcribeAudio(blob, { signal } = {}) {
+  let format = detectAudioFormat(blob);
+  let audio = blob;
+  if (!format) {
+    audio = await convertToWav(blob);
+    format = 'wav';
+  }
+
   const payload = {
-    model: state.selectedModel,
+    model: TRANSCRIPTION_MODEL,
     private: true,
-    messages: [{ role: 'system', content: buildSystemPrompt() }, ...historySlice]
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: TRANSCRIPTION_PROMPT },
+          { type: 'input_audio', input_audio: { data: await readBlobAsBase64(audio), format } }
+        ]
+      }
+    ]
   };
 
-  if (state.selectedVoice) {
-    payload.voice = state.selectedVoice;
-  }
-
-  return payload;
+  const { response } = await requestCompletion(payload, { signal, models: [TRANSCRIPTION_MODEL] });
+  const data = await response.json();
+  return extractAssistantContent(data).trim();
 }
 
-async function sendMessage(event) {
-  event.preventDefault();
+function setTranscriptionStatus(busy, error = null) {
   if (state.isSending) return;
+  if (busy) {
+    setConnectionStatus('Transcribing audio…', 'busy');
+  } else {
+    setConnectionStatus(error ? 'Error' : 'Idle', error ? 'error' : 'idle');
+  }
+}
 
-  const hasSelectedModel = Boolean(
-    state.selectedModel && state.availableModels.some((model) => model.id === state.selectedModel)
-  );
-  if (!hasSelectedModel) {
-    showToast('Select a Pollinations model before sending.', 'error');
-    updateComposerAvailability();
+function deliverTranscript(transcript) {
+  if (state.transcriptTarget === 'send' && canPostMessage()) {
+    postUserMessage(transcript);
     return;
   }
 
-  const userInput = elements.messageInput.value.trim();
-  if (!userInput) return;
+  const existing = elements.messageInput.value.trim();
+  elements.messageInput.value = existing ? `${existing} ${transcript}` : transcript;
+  updateCharCounter();
+  autoResizeTextarea();
+  elements.messageInput.focus({ preventScroll: true });
+}
 
-  const userMessage = {
-    role: 'user',
-    content: userInput,
-    timestamp: new Date().toISOString()
-  };
+async function handleAudioFile(file) {
+  if (!file) return;
+  if (file.size > MAX_TRANSCRIPTION_BYTES) {
+    showToast('That audio file is too large to transcribe (20 MB limit).', 'error');
+    return;
+  }
 
-  state.history.push(userMessage);
-  trimHistory();
-  appendChatMessage(userMessage);
+  if (elements.transcribeButton) {
+    elements.transcribeButton.disabled = true;
+  }
+  setTranscriptionStatus(true);
+  try {
+    const transcript = await transcribeAudio(file);
+    setTranscriptionStatus(false);
+    if (!transcript) {
+      showToast('No speech was recognized in that clip.', 'info');
+      return;
+    }
+    deliverTranscript(transcript);
+    showToast('Audio transcribed.', 'success');
+  } catch (error) {
+    console.error('Unable to transcribe audio', error);
+    setTranscriptionStatus(false, error);
+    showToast('Transcription failed. Please try again.', 'error');
+  } finally {
+    if (elements.transcribeButton) {
+      elements.transcribeButton.disabled = false;
+    }
+  }
+}
+
+function handleAudioInput(event) {
+  const input = event.target;
+  const [file] = input.files || [];
+  input.value = '';
+  handleAudioFile(file);
+}
+
+function handleDictationSilenceChange(event) {
+  state.dictationSilence = normalizeDictationSilence(event.target.value);
+  event.target.value = String(state.dictationSilence);
   persistState();
+}
 
-  elements.messageInput.value = '';
-  updateCharCounter();
-  autoResizeTextarea();
+function buildSelectionPatterns(noun) {
+  return [
+    new RegExp(`^(?:switch|change|set)\\s+(?:the\\s+)?${noun}\\s+to\\s+(.+)$`),
+    new RegExp(`^(?:use|select|switch to)\\s+(?:the\\s+)?${noun}\\s+(.+)$`),
+    new RegExp(`^(?:use|select|switch to)\\s+(?:the\\s+)?(.+?)\\s+${noun}$`)
+  ];
+}
 
-  state.isSending = true;
-  updateComposerAvailability();
-  setConnectionStatus('Contacting Pollinations…', 'busy');
+const VOICE_COMMAND_GRAMMAR = [
+  { type: 'model', patterns: buildSelectionPatterns('model') },
+  { type: 'voice', patterns: buildSelectionPatterns('voice') },
+  { type: 'theme', patterns: buildSelectionPatterns('theme') },
+  { type: 'clearMemories', patterns: [/^(?:clear|delete|erase|forget|wipe)\s+(?:all\s+)?(?:the\s+|your\s+|my\s+)?memor(?:y|ies)$/] },
+  {
+    type: 'resetChat',
+    patterns: [/^(?:reset|clear|restart)\s+(?:the\s+)?(?:chat|conversation)$/, /^(?:start\s+)?(?:a\s+)?new\s+(?:chat|conversation)$/]
+  },
+  {
+    type: 'readAgain',
+    patterns: [
+      /^(?:read|say|repeat)\s+(?:that|it|the\s+last\s+(?:reply|answer|message))(?:\s+again)?$/,
+      /^(?:read|say)\s+(?:that|it)\s+one\s+more\s+time$/
+    ]
+  },
+  { type: 'stop', patterns: [/^(?:stop|cancel|quiet|be\s+quiet|silence)(?:\s+(?:talking|reading|speaking|that|it|now))?$/] }
+];
 
-  try {
-    const payload = buildPayload();
-    const response = await fetch(buildGatewayUrl(state.selectedModel), {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
+function normalizeUtterance(utterance) {
+  return String(utterance || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:(?:hey|ok|okay)\s+unity\s+)?(?:please\s+)?/, '')
+    .replace(/\s+please$/, '');
+}
+
+function compactLabel(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
 
-    if (!response.ok) {
-      throw new Error(`Request failed: ${response.status}`);
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
     }
+  }
+  return previous[b.length];
+}
+
+function scoreCandidate(query, candidate) {
+  if (!query || !candidate) return 0;
+  if (query === candidate) return 1;
+  if (candidate.startsWith(query) || query.startsWith(candidate)) return 0.9;
+  if (query.length >= 3 && (candidate.includes(query) || query.includes(candidate))) return 0.8;
+  return 1 - editDistance(query, candidate) / Math.max(query.length, candidate.length);
+}
 
-    const data = await response.json();
-    const assistantContent =
-      data?.choices?.[0]?.message?.content || data?.message || 'The assistant returned an empty response.';
+function findClosestOption(query, options, getLabels) {
+  const compactQuery = compactLabel(query);
+  let best = null;
+  let bestScore = 0;
+
+  options.forEach((option) => {
+    getLabels(option).forEach((label) => {
+      const score = scoreCandidate(compactQuery, compactLabel(label));
+      if (score > bestScore) {
+        best = option;
+        bestScore = score;
+      }
+    });
+  });
 
-    const assistantMessage = {
-      role: 'assistant',
-      content: assistantContent,
-      timestamp: new Date().toISOString()
-    };
+  return bestScore >= VOICE_COMMAND_MATCH_THRESHOLD ? best : null;
+}
 
-    state.history.push(assistantMessage);
-    trimHistory();
-    appendChatMessage(assistantMessage);
+function resolveCommandTarget(type, argument) {
+  if (type === 'model') {
+    return findClosestOption(argument, state.availableModels, (entry) => [entry.id, entry.label]);
+  }
+  if (type === 'voice') {
+    return findClosestOption(argument, state.availableVoices, (entry) => [entry]);
+  }
+  if (type === 'theme') {
+    return findClosestOption(argument, THEME_CATALOG, (entry) => [entry.id, entry.label]);
+  }
+  return true;
+}
 
-    const parsed = parseStructuredContent(assistantContent);
-    if (state.memoryEnabled && parsed.memories.length) {
-      parsed.memories.forEach((memory) => {
-        if (!state.memories.includes(memory)) {
-          state.memories.push(memory);
-        }
-      });
-      trimMemories();
-      renderMemories();
+// Selection phrases only count as commands when the argument matches something loaded,
+// so "use the best model for this" still reaches the assistant.
+function parseVoiceCommand(utterance) {
+  const normalized = normalizeUtterance(utterance);
+  if (!normalized) return null;
+
+  for (const { type, patterns } of VOICE_COMMAND_GRAMMAR) {
+    for (const pattern of patterns) {
+      const match = normalized.match(pattern);
+      const target = match ? resolveCommandTarget(type, match[1]?.trim() || '') : null;
+      if (target) {
+        return { type, target };
+      }
     }
+  }
+  return null;
+}
 
-    persistState();
-    showToast('Assistant replied.', 'success');
-    setConnectionStatus('Idle', 'idle');
-  } catch (error) {
-    console.error(error);
-    showToast('Unable to reach Pollinations. Please try again.', 'error');
-    setConnectionStatus('Error', 'error');
+function selectModelById(modelId) {
+  if (elements.modelSelect && !elements.modelSelect.disabled) {
+    elements.modelSelect.value = modelId;
+  }
+  handleModelChange({ target: { value: modelId } });
+}
 
-    const errorMessage = {
-      role: 'assistant',
-      content: 'I could not reach the Pollinations API just now. Please retry in a moment.',
-      timestamp: new Date().toISOString()
-    };
+function selectVoiceById(voice) {
+  if (elements.voiceSelect && !elements.voiceSelect.disabled) {
+    elements.voiceSelect.value = voice;
+  }
+  handleVoiceChange({ target: { value: voice } });
+}
 
-    state.history.push(errorMessage);
-    trimHistory();
-    appendChatMessage(errorMessage);
-    persistState();
-  } finally {
-    state.isSending = false;
-    updateComposerAvailability();
-    if (elements.messageInput) {
-      elements.messageInput.focus({ preventScroll: true });
-    }
+function readLastReplyAgain() {
+  const lastReply = [...state.history].reverse().find((message) => message.role === 'assistant' && message.content);
+  if (!lastReply) {
+    showToast('There is no reply to read yet.', 'info');
+    return;
+  }
+  stopSpeechPlayback();
+  if (enqueueSpeech(lastReply)) {
+    showToast('Reading the last reply again.', 'info');
+  } else {
+    showToast('Nothing to read aloud in the last reply.', 'info');
+  }
+}
+
+function executeVoiceCommand({ type, target }) {
+  if (type === 'model') {
+    selectModelById(target.id);
+    showToast(`Model set to ${target.label}.`, 'success');
+  } else if (type === 'voice') {
+    selectVoiceById(target);
+    showToast(`Voice set to ${target}.`, 'success');
+  } else if (type === 'theme') {
+    applyTheme(target.id);
+    showToast(`Theme set to ${target.label}.`, 'success');
+  } else if (type === 'clearMemories') {
+    clearMemories();
+  } else if (type === 'resetChat') {
+    resetChat();
+  } else if (type === 'readAgain') {
+    readLastReplyAgain();
+  } else if (type === 'stop') {
+    const wasBusy = Boolean(activeRequestController) || Boolean(speechPlayback.current);
+    stopActiveRequest();
+    stopSpeechPlayback();
+    showToast(wasBusy ? 'Stopped.' : 'Nothing to stop.', 'info');
   }
 }
 
+function handleVoiceCommandsToggle(event) {
+  state.voiceCommandsEnabled = Boolean(event.target.checked);
+  persistState();
+  showToast(
+    state.voiceCommandsEnabled ? 'Spoken commands are enabled.' : 'Spoken commands will be sent as messages.',
+    'info'
+  );
+}
+
 function handleKeyboardSubmit(event) {
   if (event.key === 'Enter' && !event.shiftKey) {
     event.preventDefault();
@@ -1046,6 +6790,8 @@ async function initialize() {
   setConnectionStatus('Loading models…', 'busy');
 
   applyTheme(state.selectedTheme);
+  await loadSessions();
+  setupStateSync();
 
   const preferencesLoaded = state.memoryEnabled;
   elements.memoryToggle.checked = preferencesLoaded;
@@ -1080,6 +6826,7 @@ async function initialize() {
     const fetchedCatalog = await fetchModels();
     if (fetchedCatalog && typeof fetchedCatalog === 'object') {
       modelCatalog = fetchedCatalog;
+      state.catalogSource = { source: fetchedCatalog.source, generatedAt: fetchedCatalog.generatedAt };
     }
     modelsLoaded = true;
   } catch (error) {
@@ -1129,15 +6876,25 @@ async function initialize() {
     setSelectPlaceholder(elements.voiceSelect, 'No voices available');
   }
 
-  elements.memoryToggle.checked = state.memoryEnabled;
-
+  renderPreferenceControls();
   renderChat();
+  renderSessions();
+  renderPersonas();
+  renderGenerationSettings();
+  renderImageOptions();
+  renderContentPolicy();
+  renderGallery();
   renderMemories();
+  renderPendingMemories();
   updateSessionSnapshot();
   updateCharCounter();
   autoResizeTextarea();
 
-  if (state.availableModels.length) {
+  if (state.availableModels.length && state.catalogSource?.source !== 'live') {
+    const { source, generatedAt } = state.catalogSource;
+    setConnectionStatus('Offline catalog', 'idle');
+    showToast(`Live model list unavailable. Using the ${source} catalog (${formatCatalogAge(generatedAt)}).`, 'info', 4200);
+  } else if (state.availableModels.length) {
     setConnectionStatus('Idle', 'idle');
   } else if (modelsLoaded) {
     setConnectionStatus('No models available', 'error');
@@ -1147,14 +6904,121 @@ async function initialize() {
   elements.voiceSelect.addEventListener('change', handleVoiceChange);
   elements.themeSelect.addEventListener('change', handleThemeChange);
   elements.memoryToggle.addEventListener('change', handleMemoryToggle);
+  elements.streamToggle?.addEventListener('change', handleStreamToggle);
+  elements.toolsToggle?.addEventListener('change', handleToolsToggle);
   elements.clearMemories.addEventListener('click', clearMemories);
+  elements.memorySearch?.addEventListener('input', renderMemories);
+  elements.memoryList?.addEventListener('click', handleMemoryListClick);
+  elements.memoryApprovalToggle?.addEventListener('change', handleMemoryApprovalToggle);
+  elements.pendingMemoryList?.addEventListener('click', handlePendingMemoryClick);
+  elements.memoryMaxLength?.addEventListener('change', handleMemoryRulesChange);
+  elements.memoryDenyPatterns?.addEventListener('change', handleMemoryRulesChange);
   elements.resetChat.addEventListener('click', resetChat);
+  elements.sessionList?.addEventListener('click', handleSessionListClick);
+  elements.newSession?.addEventListener('click', handleNewSession);
+  elements.exportConversation?.addEventListener('click', handleExportConversation);
+  elements.importConversation?.addEventListener('click', () => elements.importFile?.click());
+  elements.importFile?.addEventListener('change', handleImportFile);
+  elements.createBackup?.addEventListener('click', handleCreateBackup);
+  elements.restoreBackup?.addEventListener('click', () => elements.backupFile?.click());
+  elements.backupFile?.addEventListener('change', handleBackupFile);
+  elements.imageGallery?.addEventListener('click', handleGalleryClick);
+  elements.lightbox?.addEventListener('click', handleLightboxClick);
+  elements.lightboxStage?.addEventListener('wheel', handleLightboxWheel, { passive: false });
+  document.addEventListener('keydown', handleLightboxKeydown);
+  elements.imageForm?.addEventListener('change', handleImageOptionsChange);
+  elements.imageForm?.addEventListener('submit', handleImageFormSubmit);
+  elements.contentPolicyForm?.addEventListener('change', handleContentPolicyChange);
+  elements.contentPolicyForm?.addEventListener('submit', (event) => event.preventDefault());
+  elements.generationSettings?.addEventListener('change', handleGenerationSettingsChange);
+  elements.generationSettings?.addEventListener('submit', (event) => event.preventDefault());
+  elements.resetGeneration?.addEventListener('click', handleResetGenerationSettings);
+  elements.saveSummary?.addEventListener('click', handleSaveSummary);
+  elements.summarizeNow?.addEventListener('click', handleSummarizeNow);
+  elements.clearSummary?.addEventListener('click', handleClearSummary);
+  elements.personaSelect?.addEventListener('change', handlePersonaChange);
+  elements.newPersona?.addEventListener('click', () => openPersonaEditor(null));
+  elements.editPersona?.addEventListener('click', () => openPersonaEditor(getActivePersona()));
+  elements.deletePersona?.addEventListener('click', deleteActivePersona);
+  elements.personaEditor?.addEventListener('submit', handlePersonaEditorSubmit);
+  elements.cancelPersona?.addEventListener('click', closePersonaEditor);
   elements.messageInput.addEventListener('input', () => {
     updateCharCounter();
     autoResizeTextarea();
   });
   elements.messageInput.addEventListener('keydown', handleKeyboardSubmit);
   elements.composer.addEventListener('submit', sendMessage);
+  elements.composer.addEventListener('dragover', handleComposerDragOver);
+  elements.composer.addEventListener('dragleave', handleComposerDragLeave);
+  elements.composer.addEventListener('drop', handleComposerDrop);
+  elements.messageInput.addEventListener('paste', handleComposerPaste);
+  elements.attachButton?.addEventListener('click', () => elements.attachmentInput?.click());
+  elements.attachmentInput?.addEventListener('change', handleAttachmentInput);
+  elements.attachmentTray?.addEventListener('click', handleAttachmentTrayClick);
+  elements.stopButton?.addEventListener('click', stopActiveRequest);
+  elements.chatLog.addEventListener('click', handleChatLogClick);
+  elements.speechMode?.addEventListener('change', handleSpeechModeChange);
+  elements.dictationMode?.addEventListener('change', handleDictationModeChange);
+  elements.transcriptTarget?.addEventListener('change', handleTranscriptTargetChange);
+  elements.transcribeButton?.addEventListener('click', () => elements.audioInput?.click());
+  elements.audioInput?.addEventListener('change', handleAudioInput);
+  elements.dictationSilence?.addEventListener('change', handleDictationSilenceChange);
+  elements.voiceCommandsToggle?.addEventListener('change', handleVoiceCommandsToggle);
+  elements.retryLimit?.addEventListener('change', handleRetryLimitChange);
+  elements.failoverToggle?.addEventListener('change', handleFailoverToggle);
+  elements.failoverList?.addEventListener('change', handleFailoverListInput);
+  elements.failoverList?.addEventListener('click', handleFailoverListInput);
+  if (elements.micButton) {
+    elements.micButton.addEventListener('pointerdown', handleMicPress);
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) =>
+      elements.micButton.addEventListener(type, handleMicRelease)
+    );
+    elements.micButton.addEventListener('click', handleMicClick);
+    elements.micButton.addEventListener('keydown', handleMicKeydown);
+    elements.micButton.addEventListener('keyup', handleMicKeyup);
+  }
+}
+
+function renderPreferenceControls() {
+  elements.memoryToggle.checked = state.memoryEnabled;
+  if (elements.memoryApprovalToggle) {
+    elements.memoryApprovalToggle.checked = state.memoryApproval;
+  }
+  if (elements.memoryMaxLength) {
+    elements.memoryMaxLength.value = String(state.memoryRules.maxLength);
+  }
+  if (elements.memoryDenyPatterns) {
+    elements.memoryDenyPatterns.value = state.memoryRules.denyPatterns.join('\n');
+  }
+  if (elements.speechMode) {
+    elements.speechMode.value = state.speechMode;
+  }
+  if (elements.dictationMode) {
+    elements.dictationMode.value = state.dictationMode;
+  }
+  if (elements.transcriptTarget) {
+    elements.transcriptTarget.value = state.transcriptTarget;
+  }
+  if (elements.dictationSilence) {
+    elements.dictationSilence.value = String(state.dictationSilence);
+  }
+  if (elements.voiceCommandsToggle) {
+    elements.voiceCommandsToggle.checked = state.voiceCommandsEnabled;
+  }
+  if (elements.retryLimit) {
+    elements.retryLimit.value = String(state.requestPolicy.maxRetries);
+  }
+  if (elements.failoverToggle) {
+    elements.failoverToggle.checked = state.requestPolicy.failoverEnabled;
+  }
+  renderFailoverList();
+  updateMicAvailability();
+  if (elements.streamToggle) {
+    elements.streamToggle.checked = state.streamingEnabled;
+  }
+  if (elements.toolsToggle) {
+    elements.toolsToggle.checked = state.toolsEnabled;
+  }
 }
 
 document.addEventListener('DOMContentLoaded', initialize);
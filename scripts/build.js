@@ -5,10 +5,32 @@ const path = require('path');
 const ROOT = path.resolve(__dirname, '..');
 const DIST = path.join(ROOT, 'dist');
 const THEMES_DIR = path.join(ROOT, 'themes');
+const DATA_DIR = path.join(ROOT, 'data');
 const DIST_DATA_DIR = path.join(DIST, 'data');
 const API_ROOT = 'https://text.pollinations.ai';
 const MODELS_ENDPOINT = `${API_ROOT}/models`;
 const BUILD_REFERRER = 'unity-chat.build';
+const IMAGE_ROOT = 'https://image.pollinations.ai';
+const CDN_ROOT = 'https://cdn.jsdelivr.net';
+
+// Keep in step with DEFAULT_IMAGE_HOSTS in script.js; verify-dist checks that every one of them is allowed.
+const DEFAULT_IMAGE_HOSTS = ['image.pollinations.ai'];
+const IMAGE_HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+
+// Mirrors the hosts index.html and script.js reach. img-src is filled in from the image allowlist at build time.
+const CONTENT_SECURITY_POLICY = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", CDN_ROOT],
+  'style-src': ["'self'", 'https://fonts.googleapis.com', CDN_ROOT],
+  'font-src': ['https://fonts.gstatic.com'],
+  'img-src': ["'self'", 'data:', 'blob:'],
+  'media-src': ["'self'", 'blob:', API_ROOT],
+  'connect-src': ["'self'", API_ROOT, IMAGE_ROOT],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"]
+};
+const REFERRER_POLICY = 'strict-origin-when-cross-origin';
 
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) {
@@ -35,6 +57,45 @@ function copyDirectory(from, to) {
   }
 }
 
+// CSP_IMAGE_HOSTS adds comma-separated hosts, so a deployment can embed images from more than the defaults.
+function resolveImageHosts() {
+  const extra = (process.env.CSP_IMAGE_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = extra.filter((host) => !IMAGE_HOST_PATTERN.test(host));
+  if (invalid.length) {
+    throw new Error(`CSP_IMAGE_HOSTS contains invalid hosts: ${invalid.join(', ')}`);
+  }
+  return [...new Set([...DEFAULT_IMAGE_HOSTS, ...extra])];
+}
+
+function buildContentSecurityPolicy() {
+  const directives = {
+    ...CONTENT_SECURITY_POLICY,
+    'img-src': [...CONTENT_SECURITY_POLICY['img-src'], ...resolveImageHosts().map((host) => `https://${host}`)]
+  };
+  return Object.entries(directives)
+    .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+    .join('; ');
+}
+
+function writeSecurityHeaders() {
+  const htmlPath = path.join(DIST, 'index.html');
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  const charset = '<meta charset="UTF-8" />';
+  if (!html.includes(charset)) {
+    throw new Error('index.html needs a <meta charset="UTF-8" /> tag to anchor the security meta tags.');
+  }
+
+  const tags = [
+    `<meta http-equiv="Content-Security-Policy" content="${buildContentSecurityPolicy()}" />`,
+    `<meta name="referrer" content="${REFERRER_POLICY}" />`
+  ];
+  fs.writeFileSync(htmlPath, html.replace(charset, [charset, ...tags].join('\n    ')));
+  console.log('Added Content-Security-Policy and referrer meta tags to dist/index.html');
+}
+
 async function fetchRemoteModels(token) {
   if (!token) return null;
 
@@ -59,7 +120,7 @@ async function writeModelCatalog(token) {
   ensureDir(DIST_DATA_DIR);
 
   if (!token) {
-    console.warn('No Pollinations token provided. Skipping model catalog bundling.');
+    console.warn('No Pollinations token provided. Keeping the checked-in model catalog.');
     return;
   }
 
@@ -70,7 +131,7 @@ async function writeModelCatalog(token) {
     fs.writeFileSync(outputPath, JSON.stringify(catalog, null, 2));
     console.log('Wrote Pollinations model catalog to dist/data/models.json');
   } catch (error) {
-    console.warn('Unable to fetch Pollinations model catalog with token:', error.message);
+    console.warn('Unable to fetch Pollinations model catalog with token, keeping the checked-in copy:', error.message);
   }
 }
 
@@ -83,8 +144,11 @@ async function main() {
     copyFile(path.join(ROOT, file), path.join(DIST, file));
   });
 
+  writeSecurityHeaders();
+
   copyDirectory(path.join(ROOT, 'assets'), path.join(DIST, 'assets'));
   copyDirectory(THEMES_DIR, path.join(DIST, 'themes'));
+  copyDirectory(DATA_DIR, DIST_DATA_DIR);
   await writeModelCatalog(process.env.POLLINATIONS_TOKEN?.trim());
 
   console.log('Build output prepared at', DIST);
@@ -20,14 +20,14 @@ function main() {
     assert(process.env.POLLINATIONS_TOKEN, 'POLLINATIONS_TOKEN secret must be provided in CI builds.');
   }
 
-  const requiredFiles = ['index.html', 'styles.css', 'script.js', 'ai-instruct.txt'];
+  const requiredFiles = ['index.html', 'styles.css', 'script.js', 'ai-instruct.txt', 'data/models.json'];
   requiredFiles.forEach((file) => {
     const resolved = path.join(ROOT, file);
     assert(fs.existsSync(resolved), `Missing required file: ${file}`);
   });
 
   const html = readText(path.join(ROOT, 'index.html'));
-  ['modelSelect', 'voiceSelect', 'themeSelect', 'chatLog', 'composer', 'memoryList'].forEach((id) => {
+  ['modelSelect', 'voiceSelect', 'themeSelect', 'chatLog', 'composer', 'memoryList', 'sessionList'].forEach((id) => {
     assert(html.includes(`id="${id}"`), `Expected element with id="${id}" in index.html`);
   });
   assert(
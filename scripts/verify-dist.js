@@ -93,6 +93,28 @@ function runChecks() {
     return 'controls verified';
   });
 
+  register('index.html carries a content security policy', () => {
+    const htmlContent = html();
+    const match = htmlContent.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)"/);
+    assert(match, 'Missing Content-Security-Policy meta tag in index.html.');
+    ['default-src', 'script-src', 'connect-src', 'img-src'].forEach((directive) => {
+      assert(match[1].includes(`${directive} `), `Content-Security-Policy should set ${directive}.`);
+    });
+
+    const imageSources = (match[1].split(';').find((part) => part.trim().startsWith('img-src ')) || '')
+      .trim()
+      .split(/\s+/)
+      .slice(1);
+    const hostList = readFile('script.js').match(/const DEFAULT_IMAGE_HOSTS = \[([^\]]*)\]/);
+    assert(hostList, 'DEFAULT_IMAGE_HOSTS should be present in script.js.');
+    const hosts = hostList[1].split(',').map((host) => host.trim().replace(/^'|'$/g, '')).filter(Boolean);
+    hosts.forEach((host) => {
+      assert(imageSources.includes(`https://${host}`), `img-src should allow the default image host ${host}.`);
+    });
+    assert(!imageSources.includes('https:'), 'img-src should list image hosts instead of allowing every HTTPS host.');
+    return `policy present, img-src allows ${hosts.join(', ')}`;
+  });
+
   register('script.js references models endpoint', () => {
     const script = readFile('script.js');
     assert(script.includes('text.pollinations.ai/models'), 'Expected models endpoint reference in script.js');
@@ -101,6 +123,13 @@ function runChecks() {
     return 'logic verified';
   });
 
+  register('bundled model catalog present', () => {
+    const catalog = JSON.parse(readFile(path.join('data', 'models.json')));
+    assert(catalog && typeof catalog === 'object', 'data/models.json should contain a JSON object.');
+    assert(catalog.models, 'data/models.json should list models.');
+    return catalog.generatedAt ? `generated ${catalog.generatedAt}` : 'present';
+  });
+
   register('dist directory excludes node_modules', () => {
     const children = fs.readdirSync(DIST);
     assert(!children.includes('node_modules'), 'node_modules directory should not be bundled.');
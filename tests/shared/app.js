@@ -0,0 +1,42 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'script.js');
+
+// Runs script.js in a bare context with just enough of the page to load it. `globals` adds to or replaces the
+// stand-ins below; the returned context exposes the script's functions, and `read` reaches its const bindings.
+function loadApp(globals = {}) {
+  const storage = new Map();
+
+  const context = {
+    console,
+    URL,
+    navigator: { language: 'en-US' },
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key)
+    },
+    document: {
+      addEventListener() {},
+      getElementById: () => null,
+      querySelector: () => null
+    },
+    setTimeout() {},
+    clearTimeout() {},
+    ...globals
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: SCRIPT_PATH });
+
+  return {
+    context,
+    read: (expression) => vm.runInContext(expression, context)
+  };
+}
+
+module.exports = { loadApp };
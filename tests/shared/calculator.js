@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app');
+
+const { context } = loadApp();
+const evaluate = (expression) => context.evaluateExpression(expression);
+
+test('operators follow the usual precedence and associativity', () => {
+  assert.equal(evaluate('2 + 3 * 4'), 14);
+  assert.equal(evaluate('(2 + 3) * 4'), 20);
+  assert.equal(evaluate('10 - 4 - 3'), 3);
+  assert.equal(evaluate('64 / 4 / 2'), 8);
+  assert.equal(evaluate('7 % 4 * 2'), 6);
+  assert.equal(evaluate('2 ^ 3 ^ 2'), 512, 'powers group from the right');
+  assert.equal(evaluate('2 ** 10'), 1024);
+  assert.equal(evaluate('1 + 2 * 3 ^ 2'), 19);
+});
+
+test('unary signs bind tighter than products but looser than powers', () => {
+  assert.equal(evaluate('-3 + 5'), 2);
+  assert.equal(evaluate('--4'), 4);
+  assert.equal(evaluate('+-2 * 3'), -6);
+  assert.equal(evaluate('-2 ^ 2'), -4);
+  assert.equal(evaluate('(-2) ^ 2'), 4);
+  assert.equal(evaluate('2 ^ -1'), 0.5);
+  assert.equal(evaluate('3 * -(1 + 1)'), -6);
+});
+
+test('numbers, constants and functions are understood', () => {
+  assert.equal(evaluate('.5 + 1.5e2'), 150.5);
+  assert.equal(evaluate('sqrt(16) + max(1, 7, 3)'), 11);
+  assert.equal(evaluate('SQRT(9)'), 3, 'names are case-insensitive');
+  assert.equal(evaluate('round(pi * 100) / 100'), 3.14);
+  assert.equal(evaluate('ln(e)'), 1);
+  assert.equal(evaluate('log(1000)'), 3);
+});
+
+test('results that are not finite are refused', () => {
+  assert.throws(() => evaluate('1 / 0'), /not a finite number/);
+  assert.throws(() => evaluate('-1 / 0'), /not a finite number/);
+  assert.throws(() => evaluate('0 / 0'), /not a finite number/);
+  assert.throws(() => evaluate('sqrt(-1)'), /not a finite number/);
+  assert.throws(() => evaluate('10 ^ 400'), /not a finite number/);
+});
+
+test('malformed expressions are reported instead of half-evaluated', () => {
+  assert.throws(() => evaluate(''), /ended unexpectedly/);
+  assert.throws(() => evaluate('1 +'), /ended unexpectedly/);
+  assert.throws(() => evaluate('(1 + 2'), /Expected "\)"/);
+  assert.throws(() => evaluate('1 + 2)'), /Unexpected "\)"/);
+  assert.throws(() => evaluate('2 3'), /Unexpected "3"/);
+  assert.throws(() => evaluate('sqrt 4'), /Expected "\("/);
+  assert.throws(() => evaluate('1 & 2'), /Unexpected "&"/);
+  assert.throws(() => evaluate('* 2'), /Unsupported token "\*"/);
+});
+
+test('only the listed names resolve, never inherited or global properties', () => {
+  for (const name of ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'valueOf', 'process', 'eval']) {
+    assert.throws(() => evaluate(`${name}(1)`), /Unsupported token/, `${name}(1)`);
+    assert.throws(() => evaluate(name), /Unsupported token/, name);
+  }
+  assert.throws(() => evaluate('constructor.constructor'), /Unsupported token "constructor"/);
+});
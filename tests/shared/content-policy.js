@@ -0,0 +1,208 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app');
+
+const PAGE_ORIGIN = 'https://chat.example';
+
+// Just enough of an element for the content policy: attributes, children, and replacing or removing itself.
+class FakeElement {
+  constructor(tagName, attributes = {}) {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map(Object.entries(attributes));
+    this.children = [];
+    this.parent = null;
+    this.style = { setProperty() {} };
+    this.textContent = '';
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  addEventListener() {}
+
+  append(...nodes) {
+    nodes.forEach((node) => this.appendChild(node));
+  }
+
+  appendChild(node) {
+    node.parent = this;
+    this.children.push(node);
+    return node;
+  }
+
+  remove() {
+    this.replaceWith();
+  }
+
+  replaceWith(...nodes) {
+    const siblings = this.parent.children;
+    nodes.forEach((node) => {
+      node.parent = this.parent;
+    });
+    siblings.splice(siblings.indexOf(this), 1, ...nodes);
+    this.parent = null;
+  }
+
+  // Supports the two selector shapes the policy uses: `tag` and `tag[attribute]`.
+  querySelectorAll(selector) {
+    const [, tagName, attribute] = selector.match(/^(\w+)(?:\[(\w+)\])?$/);
+    const found = [];
+    const visit = (node) => {
+      node.children.forEach((child) => {
+        if (child.tagName === tagName.toUpperCase() && (!attribute || child.hasAttribute(attribute))) {
+          found.push(child);
+        }
+        visit(child);
+      });
+    };
+    visit(this);
+    return found;
+  }
+
+  find(tagName) {
+    return this.querySelectorAll(tagName)[0] || null;
+  }
+}
+
+// A template whose innerHTML understands the flat `<img>` and `<a>` markup the tests feed through the marked stub.
+function createTemplate() {
+  const content = new FakeElement('#fragment');
+  return {
+    content,
+    set innerHTML(html) {
+      const pattern = /<(img|a)\b([^>]*)>(?:([^<]*)<\/a>)?/g;
+      for (const [, tagName, rawAttributes, text] of html.matchAll(pattern)) {
+        const attributes = Object.fromEntries(
+          [...rawAttributes.matchAll(/([\w-]+)="([^"]*)"/g)].map(([, name, value]) => [name, value])
+        );
+        const element = new FakeElement(tagName, attributes);
+        element.textContent = text || '';
+        content.appendChild(element);
+      }
+    }
+  };
+}
+
+function loadPolicyApp({ imgSrc = null } = {}) {
+  const securityPolicy = imgSrc && { getAttribute: () => `default-src 'self'; img-src ${imgSrc}` };
+  const { context, read } = loadApp({
+    location: { href: `${PAGE_ORIGIN}/`, origin: PAGE_ORIGIN },
+    // Markdown conversion is not under test, so the input is passed through as HTML.
+    marked: { parse: (input) => input },
+    document: {
+      addEventListener() {},
+      getElementById: () => null,
+      querySelector: (selector) => (selector.startsWith('meta[http-equiv') ? securityPolicy : null),
+      createElement: (tagName) => (tagName === 'template' ? createTemplate() : new FakeElement(tagName))
+    }
+  });
+  return { context, state: read('state') };
+}
+
+test('image hosts match exactly, by wildcard subdomain, and with their port', () => {
+  const { context, state } = loadPolicyApp();
+  state.contentPolicy.imageHosts = ['image.pollinations.ai', '*.example.org', 'cdn.example.net:8443'];
+
+  assert.equal(context.isAllowedImageUrl('https://image.pollinations.ai/prompt/cat'), true);
+  assert.equal(context.isAllowedImageUrl('https://evil.pollinations.ai/cat.png'), false);
+
+  assert.equal(context.isAllowedImageUrl('https://a.example.org/cat.png'), true);
+  assert.equal(context.isAllowedImageUrl('https://a.b.example.org/cat.png'), true);
+  assert.equal(context.isAllowedImageUrl('https://example.org/cat.png'), false, 'a wildcard needs a subdomain');
+  assert.equal(context.isAllowedImageUrl('https://badexample.org/cat.png'), false);
+
+  assert.equal(context.isAllowedImageUrl('https://cdn.example.net:8443/cat.png'), true);
+  assert.equal(context.isAllowedImageUrl('https://cdn.example.net/cat.png'), false, 'the port is part of the host');
+  assert.equal(context.isAllowedImageUrl('https://image.pollinations.ai:444/cat'), false);
+});
+
+test('same-origin and inline images are always allowed, other schemes never', () => {
+  const { context, state } = loadPolicyApp();
+  state.contentPolicy.imageHosts = [];
+
+  assert.equal(context.isAllowedImageUrl(`${PAGE_ORIGIN}/icon.png`), true);
+  assert.equal(context.isAllowedImageUrl('/icon.png'), true);
+  assert.equal(context.isAllowedImageUrl('data:image/png;base64,AAAA'), true);
+  assert.equal(context.isAllowedImageUrl('javascript:alert(1)'), false);
+  assert.equal(context.isAllowedImageUrl('ftp://files.example.org/cat.png'), false);
+});
+
+test('tracking parameters are stripped and everything else is kept', () => {
+  const { context } = loadPolicyApp();
+
+  assert.equal(
+    context.stripTrackingParams('https://example.org/page?id=7&utm_source=mail&UTM_Medium=x&fbclid=abc#top'),
+    'https://example.org/page?id=7#top'
+  );
+  assert.equal(context.stripTrackingParams('https://example.org/?gclid=1&msclkid=2'), 'https://example.org/');
+  assert.equal(
+    context.stripTrackingParams('https://example.org/?utmost=1'),
+    'https://example.org/?utmost=1',
+    'only whole parameter names match'
+  );
+  assert.equal(context.stripTrackingParams('https://example.org/a b'), 'https://example.org/a b', 'untouched URLs');
+  assert.equal(context.stripTrackingParams('mailto:someone@example.org'), 'mailto:someone@example.org');
+});
+
+test('rendered Markdown keeps allowlisted images and replaces the rest with a placeholder', () => {
+  const { context } = loadPolicyApp();
+  const fragment = context.renderPolicedMarkdown(
+    '<img src="https://image.pollinations.ai/prompt/cat?utm_source=x" srcset="https://tracker.example/1x.png 1x">' +
+      '<img src="https://tracker.example/pixel.png">' +
+      '<img src="">'
+  );
+
+  const [allowed, placeholder, ...rest] = fragment.children;
+  assert.equal(rest.length, 0, 'an image without a source is dropped');
+  assert.equal(allowed.tagName, 'IMG');
+  assert.equal(allowed.getAttribute('src'), 'https://image.pollinations.ai/prompt/cat');
+  assert.equal(allowed.hasAttribute('srcset'), false);
+  assert.equal(allowed.loading, 'lazy');
+
+  assert.equal(placeholder.tagName, 'FIGURE');
+  assert.match(placeholder.className, /is-blocked/);
+  const buttons = placeholder.querySelectorAll('button').map((button) => button.textContent);
+  assert.deepEqual(buttons, ['Load image', 'Always allow tracker.example']);
+});
+
+test('images the page security policy forbids get a placeholder without a Load button', () => {
+  const { context } = loadPolicyApp({ imgSrc: "'self' data: https://image.pollinations.ai" });
+  const fragment = context.renderPolicedMarkdown('<img src="https://tracker.example/pixel.png">');
+
+  const [placeholder] = fragment.children;
+  assert.equal(placeholder.tagName, 'FIGURE');
+  assert.deepEqual(placeholder.querySelectorAll('button'), []);
+  assert.match(placeholder.find('span').textContent, /blocked by this site's security policy/);
+});
+
+test('rendered Markdown links lose tracking parameters and open external sites in a new tab', () => {
+  const { context } = loadPolicyApp();
+  const fragment = context.renderPolicedMarkdown(
+    '<a href="https://news.example.org/story?utm_campaign=spring&page=2">story</a>' +
+      `<a href="${PAGE_ORIGIN}/help">help</a>`
+  );
+
+  const [external, local] = fragment.children;
+  assert.equal(external.getAttribute('href'), 'https://news.example.org/story?page=2');
+  assert.equal(external.rel, 'noopener noreferrer');
+  assert.equal(external.target, '_blank');
+
+  assert.equal(local.getAttribute('href'), `${PAGE_ORIGIN}/help`);
+  assert.equal(local.rel, 'noopener noreferrer');
+  assert.equal(local.target, undefined);
+});
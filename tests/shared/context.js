@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app');
+
+const { context } = loadApp();
+
+// 36 ASCII characters estimate to 9 tokens, plus 4 tokens of per-message overhead.
+const MESSAGE_COST = 13;
+const message = (id, role = 'user', extra = {}) => ({ id, role, content: 'x'.repeat(36), ...extra });
+// Arrays built inside the script's context have their own prototype, so compare copies made out here.
+const ids = (messages) => Array.from(messages, (item) => item.id);
+
+test('token estimates count Latin text by the quarter and other scripts per character', () => {
+  assert.equal(context.estimateTokens(''), 0);
+  assert.equal(context.estimateTokens('abcd'), 1);
+  assert.equal(context.estimateTokens('abcde'), 2);
+  assert.equal(context.estimateTokens('日本語'), 3);
+  assert.equal(context.estimateMessageTokens(message('a')), MESSAGE_COST);
+});
+
+test('everything is included when the history fits', () => {
+  const history = [message('a'), message('b', 'assistant'), message('c')];
+  const { included, omitted } = context.packHistory(history, MESSAGE_COST * 3);
+  assert.deepEqual(ids(included), ['a', 'b', 'c']);
+  assert.deepEqual(ids(omitted), []);
+});
+
+test('the newest messages are kept in order and the older ones omitted', () => {
+  const history = [message('a'), message('b', 'assistant'), message('c'), message('d', 'assistant')];
+  const { included, omitted } = context.packHistory(history, MESSAGE_COST * 2 + 5);
+  assert.deepEqual(ids(included), ['c', 'd']);
+  assert.deepEqual(ids(omitted), ['a', 'b']);
+});
+
+test('the newest message is always kept, even when it alone is over budget', () => {
+  const history = [message('a'), message('b', 'user', { content: 'y'.repeat(4000) })];
+  for (const budget of [0, MESSAGE_COST, 500]) {
+    const { included, omitted } = context.packHistory(history, budget);
+    assert.deepEqual(ids(included), ['b'], `budget ${budget}`);
+    assert.deepEqual(ids(omitted), ['a'], `budget ${budget}`);
+  }
+});
+
+test('tool results cut off from the assistant turn that requested them are dropped', () => {
+  const history = [
+    message('ask'),
+    message('call', 'assistant', { content: '', toolCalls: [{ id: 't1', name: 'calculator', arguments: '{}' }] }),
+    message('result-1', 'tool'),
+    message('result-2', 'tool'),
+    message('answer', 'assistant')
+  ];
+  const { included, omitted } = context.packHistory(history, MESSAGE_COST * 3);
+  assert.deepEqual(ids(included), ['answer']);
+  assert.deepEqual(ids(omitted), ['ask', 'call', 'result-1', 'result-2']);
+
+  const whole = context.packHistory(history, MESSAGE_COST * 10);
+  assert.deepEqual(ids(whole.included), ids(history), 'tool results after their call stay');
+});
+
+test('a history of only tool results packs to nothing', () => {
+  const { included, omitted } = context.packHistory([message('r', 'tool')], MESSAGE_COST);
+  assert.deepEqual(ids(included), []);
+  assert.deepEqual(ids(omitted), ['r']);
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app');
+
+// Stands in for the browser SpeechRecognition object, so tests decide when results and end events arrive.
+class FakeRecognizer {
+  constructor() {
+    this.starts = 0;
+    this.stops = 0;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+  }
+
+  start() {
+    this.starts += 1;
+  }
+
+  stop() {
+    this.stops += 1;
+    this.onend?.();
+  }
+
+  abort() {
+    this.stop();
+  }
+
+  say(transcript, { isFinal = true } = {}) {
+    const result = [{ transcript }];
+    result.isFinal = isFinal;
+    this.onresult?.({ resultIndex: 0, results: [result] });
+  }
+}
+
+// Loads the app with fake timers, so tests decide when the silence timeout fires.
+function loadDictationApp() {
+  const timers = new Map();
+  let nextTimer = 1;
+
+  const { context, read } = loadApp({
+    setTimeout(callback, delay) {
+      const id = nextTimer++;
+      timers.set(id, { callback, delay });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    }
+  });
+
+  const submitted = [];
+  const app = read('({ state, elements, dictation })');
+  app.elements.messageInput = { value: '', style: {}, scrollHeight: 0 };
+  app.elements.composer = {
+    requestSubmit() {
+      submitted.push(app.elements.messageInput.value);
+      app.elements.messageInput.value = '';
+    }
+  };
+
+  const recognizers = [];
+  context.setSpeechRecognitionFactory(() => {
+    const recognizer = new FakeRecognizer();
+    recognizers.push(recognizer);
+    return recognizer;
+  });
+
+  return {
+    ...app,
+    context,
+    submitted,
+    recognizers,
+    timers,
+    runTimers() {
+      const pending = [...timers.values()];
+      timers.clear();
+      pending.forEach(({ callback }) => callback());
+    }
+  };
+}
+
+const press = { button: 0, preventDefault() {} };
+
+test('push-to-talk fills the input while held and sends on release', () => {
+  const app = loadDictationApp();
+  app.state.dictationMode = 'push';
+
+  app.context.handleMicPress(press);
+  const [recognizer] = app.recognizers;
+  assert.equal(recognizer.starts, 1);
+  assert.equal(recognizer.continuous, false);
+  assert.equal(app.dictation.active, true);
+
+  recognizer.say('hello', { isFinal: false });
+  assert.equal(app.elements.messageInput.value, 'hello');
+  recognizer.say('hello there');
+  assert.equal(app.elements.messageInput.value, 'hello there');
+
+  app.context.handleMicRelease();
+  assert.equal(recognizer.stops, 1);
+  assert.equal(app.dictation.active, false);
+  assert.deepEqual(app.submitted, ['hello there']);
+  assert.equal(app.timers.size, 0, 'releasing should cancel the silence timer');
+});
+
+test('push-to-talk keeps the text for review when auto-send is off', () => {
+  const app = loadDictationApp();
+  app.state.dictationMode = 'push';
+  app.state.dictationSilence = 0;
+
+  app.context.handleMicPress(press);
+  app.recognizers[0].say('draft this');
+  app.context.handleMicRelease();
+
+  assert.deepEqual(app.submitted, []);
+  assert.equal(app.elements.messageInput.value, 'draft this');
+  assert.equal(app.timers.size, 0);
+});
+
+test('hands-free dictation restarts after the browser ends it and stops on a second click', () => {
+  const app = loadDictationApp();
+  app.state.dictationMode = 'handsfree';
+  app.state.dictationSilence = 0;
+
+  app.context.handleMicClick();
+  const [recognizer] = app.recognizers;
+  assert.equal(recognizer.continuous, true);
+
+  recognizer.say('first part');
+  recognizer.onend();
+  assert.equal(recognizer.starts, 2, 'an unrequested end should resume listening');
+  assert.equal(app.dictation.active, true);
+
+  recognizer.say('second part');
+  assert.equal(app.elements.messageInput.value, 'first part second part');
+
+  app.context.handleMicClick();
+  assert.equal(recognizer.stops, 1);
+  assert.equal(app.dictation.active, false);
+  assert.deepEqual(app.submitted, []);
+});
+
+test('hands-free dictation sends after the silence timeout and keeps listening', () => {
+  const app = loadDictationApp();
+  app.state.dictationMode = 'handsfree';
+  app.state.dictationSilence = 2;
+
+  app.context.handleMicClick();
+  const [recognizer] = app.recognizers;
+
+  recognizer.say('what is the');
+  assert.equal(app.timers.size, 1);
+  recognizer.say('weather today');
+  assert.equal(app.timers.size, 1, 'new speech should replace the pending timer');
+  assert.equal([...app.timers.values()][0].delay, 2000);
+
+  app.runTimers();
+  assert.deepEqual(app.submitted, ['what is the weather today']);
+  assert.equal(app.dictation.active, true);
+  assert.equal(app.dictation.finalText, '');
+
+  recognizer.say('and tomorrow');
+  app.runTimers();
+  assert.deepEqual(app.submitted, ['what is the weather today', 'and tomorrow']);
+});
+
+test('the silence timer waits while a reply is still being sent', () => {
+  const app = loadDictationApp();
+  app.state.dictationMode = 'handsfree';
+  app.state.isSending = true;
+
+  app.context.handleMicClick();
+  app.recognizers[0].say('next question');
+  app.runTimers();
+  assert.deepEqual(app.submitted, []);
+  assert.equal(app.timers.size, 1, 'the submit should be rescheduled');
+
+  app.state.isSending = false;
+  app.runTimers();
+  assert.deepEqual(app.submitted, ['next question']);
+});